@@ -0,0 +1,154 @@
+/**
+ * Rendering benchmark
+ *
+ * Types a long input one key at a time (as well as editing it in the
+ * middle) and reports the number of `term.write` calls, the bytes written
+ * and the time spent, compared to redrawing the whole input on every key,
+ * the way the input used to be displayed.
+ *
+ * Run with `yarn bench`.
+ */
+require("@babel/register");
+
+const LocalEchoController = require("../lib/LocalEchoController").default;
+const { countLines, offsetToColRow } = require("../lib/Utils");
+
+const COLS = 80;
+const ROWS = 24;
+const PROMPT = "$ ";
+
+/**
+ * A terminal that only counts what is written to it
+ */
+function createTerminal() {
+  return {
+    cols: COLS,
+    rows: ROWS,
+    writes: 0,
+    bytes: 0,
+    write(data) {
+      this.writes++;
+      this.bytes += data.length;
+    },
+    onData(fn) {
+      this.send = fn;
+      return { dispose() {} };
+    },
+    onResize() {
+      return { dispose() {} };
+    }
+  };
+}
+
+/**
+ * Returns the writes of a full redraw of the input: every line of it is
+ * erased, the prompt and the input are printed again and the cursor is
+ * moved back one column at a time
+ */
+function fullRedraw(input, cursor) {
+  const text = PROMPT + input;
+  const lines = countLines(text, COLS);
+  const { row, col } = offsetToColRow(text, PROMPT.length + cursor, COLS);
+  const writes = ["\r\x1b[K"];
+  for (let i = 1; i < lines; ++i) writes.push("\x1b[F", "\x1b[K");
+  writes.push(text, "\r");
+  for (let i = 0; i < lines - row - 1; ++i) writes.push("\x1b[F");
+  for (let i = 0; i < col; ++i) writes.push("\x1b[C");
+  return writes;
+}
+
+/**
+ * Runs the given keys through the controller, returning the statistics of
+ * the writes
+ */
+function measure(keys) {
+  const term = createTerminal();
+  const controller = new LocalEchoController(term, { autosuggest: false });
+  controller.read(PROMPT).catch(() => {});
+  term.writes = 0;
+  term.bytes = 0;
+
+  const start = Date.now();
+  keys.forEach(key => term.send(key));
+  const time = Date.now() - start;
+
+  controller.abortRead();
+  return { writes: term.writes, bytes: term.bytes, time };
+}
+
+/**
+ * Computes the statistics of the writes of a full redraw on every key
+ */
+function measureBaseline(steps) {
+  const start = Date.now();
+  let writes = 0;
+  let bytes = 0;
+  steps.forEach(({ input, cursor }) => {
+    fullRedraw(input, cursor).forEach(data => {
+      writes++;
+      bytes += data.length;
+    });
+  });
+  return { writes, bytes, time: Date.now() - start };
+}
+
+/**
+ * Returns the keys of a scenario, along with the input and cursor after
+ * each one of them
+ */
+function typing(length) {
+  const keys = [];
+  const steps = [];
+  let input = "";
+  for (let i = 0; i < length; ++i) {
+    const chr = "abcdefghij klmnopqrstuvwxyz"[i % 27];
+    input += chr;
+    keys.push(chr);
+    steps.push({ input, cursor: input.length });
+  }
+  return { keys, steps };
+}
+
+function editing(length) {
+  const text = JSON.stringify({ items: Array(length).fill("value") });
+  const keys = [`\x1b[200~${text}\x1b[201~`];
+  const steps = [{ input: text, cursor: text.length }];
+
+  // Move to the middle, then type and erase there
+  let cursor = text.length;
+  for (let i = 0; i < 40; ++i) {
+    cursor--;
+    keys.push("\x1b[D");
+    steps.push({ input: text, cursor });
+  }
+  let input = text;
+  for (let i = 0; i < 20; ++i) {
+    input = input.substr(0, cursor) + "x" + input.substr(cursor);
+    keys.push("x");
+    steps.push({ input, cursor: ++cursor });
+  }
+  for (let i = 0; i < 20; ++i) {
+    input = input.substr(0, cursor - 1) + input.substr(cursor);
+    keys.push("\x7f");
+    steps.push({ input, cursor: --cursor });
+  }
+  return { keys, steps };
+}
+
+const scenarios = [
+  ["Typing 2000 characters", typing(2000)],
+  ["Editing a 4KB pasted input", editing(500)]
+];
+
+scenarios.forEach(([name, { keys, steps }]) => {
+  const before = measureBaseline(steps);
+  const after = measure(keys);
+  console.log(`${name} (${keys.length} keys)`);
+  console.log(
+    `  full redraw: ${before.writes} writes, ${before.bytes} bytes`
+  );
+  console.log(
+    `  diff:        ${after.writes} writes, ${after.bytes} bytes, ` +
+      `${after.time}ms (${(after.time / keys.length).toFixed(2)}ms per key)`
+  );
+});
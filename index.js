@@ -1,4 +1,21 @@
 import LocalEchoController from "./lib/LocalEchoController";
 export { HistoryController } from './lib/HistoryController';
+export {
+  MemoryHistoryStorage,
+  LocalStorageHistoryStorage
+} from './lib/HistoryStorage';
+export {
+  shellHighlighter,
+  createShellHighlighter
+} from './lib/Highlighter';
+export {
+  shellContinuation,
+  bracketContinuation,
+  sqlContinuation,
+  createBracketContinuation,
+  createTerminatorContinuation
+} from './lib/Continuation';
+export { VirtualTerminal } from './lib/VirtualTerminal';
+export { Shell, parseArgs } from './lib/Shell';
 
 export default LocalEchoController;
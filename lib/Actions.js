@@ -0,0 +1,56 @@
+import { closestLeftBoundary, closestRightBoundary } from "./Utils";
+
+/**
+ * The words used by the unix-style word kill
+ */
+const WHITESPACE_WORDS = /\S+/g;
+
+/**
+ * The named editing actions that can be bound to keys
+ *
+ * Each action is a function that receives the controller and the key that
+ * triggered it.
+ */
+export const ACTIONS = {
+  "self-insert": (c, key) => c.handleTypedInsert(key),
+  "cursor-left": c => c.handleCursorMove(-1),
+  "cursor-right": c => c.acceptSuggestion() || c.handleCursorMove(1),
+  "cursor-home": c => c.setCursor(0),
+  "cursor-end": c => c.acceptSuggestion() || c.setCursor(c._input.length),
+  "word-left": c => c.setCursor(closestLeftBoundary(c._input, c._cursor)),
+  "word-right": c =>
+    c.acceptSuggestion(true) ||
+    c.setCursor(closestRightBoundary(c._input, c._cursor)),
+  "accept-suggestion": c => c.acceptSuggestion(),
+  "history-previous": c => c.handleHistoryMove(-1),
+  "history-next": c => c.handleHistoryMove(1),
+  "delete-char": c => c.handleCursorErase(false),
+  "backward-delete-char": c => c.handleCursorErase(true),
+  "backward-kill-word": c =>
+    c.handleKill(closestLeftBoundary(c._input, c._cursor), c._cursor),
+  "kill-word": c =>
+    c.handleKill(c._cursor, closestRightBoundary(c._input, c._cursor)),
+  "kill-line": c => c.handleKill(c._cursor, c._input.length),
+  "backward-kill-line": c => c.handleKill(0, c._cursor),
+  "unix-word-rubout": c =>
+    c.handleKill(
+      closestLeftBoundary(c._input, c._cursor, WHITESPACE_WORDS),
+      c._cursor
+    ),
+  yank: c => c.handleYank(),
+  "yank-pop": c => c.handleYankPop(),
+  "transpose-chars": c => c.handleTranspose(),
+  "upcase-word": c => c.handleWordCase("upper"),
+  "downcase-word": c => c.handleWordCase("lower"),
+  "capitalize-word": c => c.handleWordCase("capitalize"),
+  undo: c => c.handleUndo(),
+  redo: c => c.handleRedo(),
+  "clear-screen": c => c.handleClearScreen(),
+  "reverse-search-history": c => c.startHistorySearch(true),
+  "forward-search-history": c => c.startHistorySearch(false),
+  interrupt: c => c.handleInterrupt(),
+  "vi-normal-mode": c => c.vi && c.vi.enterNormalMode(),
+  "accept-line": c => c.handleAcceptLine(),
+  complete: c => c.handleAutocomplete(),
+  "complete-backward": c => c.handleAutocomplete(-1)
+};
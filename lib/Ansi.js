@@ -0,0 +1,97 @@
+/**
+ * Returns the length of the escape sequence that starts at the given offset
+ * of the input, or 0 if there is none
+ *
+ * This recognizes CSI sequences (such as the SGR colors and styles), OSC
+ * sequences (such as hyperlinks and window titles) terminated either by BEL
+ * or ST, the other string sequences (DCS, SOS, PM and APC) and the simple
+ * two-character escapes.
+ */
+export function escapeSequenceLength(input, offset) {
+  if (input.charCodeAt(offset) !== 0x1b) return 0;
+  const length = input.length;
+  const next = input.charAt(offset + 1);
+  let i;
+
+  // Control sequences: parameters and intermediates, then the final byte
+  if (next === "[") {
+    for (i = offset + 2; i < length; ++i) {
+      const code = input.charCodeAt(i);
+      if (code < 0x20 || code > 0x3f) break;
+    }
+    return Math.min(i + 1, length) - offset;
+  }
+
+  // String sequences, terminated by ST (or BEL)
+  if (next !== "" && "]PX^_".indexOf(next) !== -1) {
+    for (i = offset + 2; i < length; ++i) {
+      if (input.charCodeAt(i) === 0x07) return i + 1 - offset;
+      if (input.charCodeAt(i) === 0x1b && input.charAt(i + 1) === "\\") {
+        return i + 2 - offset;
+      }
+    }
+    return length - offset;
+  }
+
+  // Other escapes: intermediates, then the final byte
+  for (i = offset + 1; i < length; ++i) {
+    const code = input.charCodeAt(i);
+    if (code < 0x20 || code > 0x2f) break;
+  }
+  return Math.min(i + 1, length) - offset;
+}
+
+/**
+ * Removes all the escape sequences from the given input
+ */
+export function stripAnsi(input) {
+  let output = "";
+  for (let i = 0; i < input.length; ) {
+    const esc = escapeSequenceLength(input, i);
+    if (esc > 0) {
+      i += esc;
+    } else {
+      output += input.charAt(i++);
+    }
+  }
+  return output;
+}
+
+/**
+ * Converts an array of `{ text, style }` segments, where style is an escape
+ * sequence (or null), to a styled string
+ */
+export function segmentsToAnsi(segments) {
+  return segments
+    .map(({ text, style }) => (style ? style + text + "\x1b[0m" : text))
+    .join("");
+}
+
+/**
+ * Resets the style at the end of every line of the given styled input and
+ * restores it at the beginning of the next one, so that any text inserted
+ * between the lines (such as a prompt) is not affected.
+ */
+export function isolateLineStyles(input) {
+  let output = "";
+  let active = "";
+
+  for (let i = 0; i < input.length; ) {
+    const esc = escapeSequenceLength(input, i);
+    if (esc > 0) {
+      const seq = input.substr(i, esc);
+      if (/^\x1b\[[\d;]*m$/.test(seq)) {
+        active = /^\x1b\[0*m$/.test(seq) ? "" : active + seq;
+      }
+      output += seq;
+      i += esc;
+    } else if (input.charAt(i) === "\n" && active !== "") {
+      output += "\x1b[0m\n" + active;
+      i += 1;
+    } else {
+      output += input.charAt(i++);
+    }
+  }
+
+  return output;
+}
@@ -0,0 +1,140 @@
+import { isIncompleteInput } from "./Utils";
+
+/**
+ * The syntax of JavaScript (and JSON), for the bracket-balancing detector
+ */
+export const JAVASCRIPT_SYNTAX = {
+  brackets: ["()", "[]", "{}"],
+  quotes: ["'", '"', "`"],
+  multilineQuotes: ["`"],
+  escape: "\\",
+  lineComment: "//",
+  blockComment: ["/*", "*/"]
+};
+
+/**
+ * The syntax of SQL, for the statement-terminator detector
+ */
+export const SQL_SYNTAX = {
+  brackets: ["()"],
+  quotes: ["'", '"'],
+  multilineQuotes: ["'", '"'],
+  escape: null,
+  lineComment: "--",
+  blockComment: ["/*", "*/"],
+  terminator: ";"
+};
+
+/**
+ * Scans the input, keeping track of the open brackets, strings and comments
+ *
+ * Returns the number of brackets that are still open, whether the input
+ * ends in a string or a block comment that continues on the next line and
+ * the last character that is not whitespace or part of a comment.
+ */
+function scan(input, syntax) {
+  const { quotes = [], multilineQuotes = [], escape } = syntax;
+  const { lineComment, blockComment } = syntax;
+  const openers = (syntax.brackets || []).map(pair => pair[0]);
+  const closers = (syntax.brackets || []).map(pair => pair[1]);
+  const stack = [];
+  let quote = null;
+  let last = "";
+
+  for (let i = 0; i < input.length; ) {
+    const chr = input[i];
+
+    if (quote != null) {
+      if (escape && chr === escape) {
+        i += 2;
+        continue;
+      }
+      if (chr === quote) {
+        quote = null;
+      } else if (chr === "\n" && multilineQuotes.indexOf(quote) === -1) {
+        // Strings that can not span lines end there (with a syntax error)
+        quote = null;
+      }
+      i++;
+      continue;
+    }
+
+    if (lineComment && input.startsWith(lineComment, i)) {
+      const end = input.indexOf("\n", i);
+      i = end === -1 ? input.length : end;
+      continue;
+    }
+    if (blockComment && input.startsWith(blockComment[0], i)) {
+      const end = input.indexOf(blockComment[1], i + blockComment[0].length);
+      if (end === -1) {
+        return { depth: stack.length, open: true, last };
+      }
+      i = end + blockComment[1].length;
+      continue;
+    }
+
+    if (quotes.indexOf(chr) !== -1) {
+      quote = chr;
+    } else if (openers.indexOf(chr) !== -1) {
+      stack.push(closers[openers.indexOf(chr)]);
+    } else if (closers.indexOf(chr) !== -1 && stack.length > 0) {
+      // Mismatched brackets are left for the interpreter to report
+      stack.pop();
+    }
+    if (!/\s/.test(chr)) last = chr;
+    i++;
+  }
+
+  const open = quote != null && multilineQuotes.indexOf(quote) !== -1;
+  return { depth: stack.length, open, last };
+}
+
+/**
+ * Detects incomplete shell commands, as described in `isIncompleteInput`
+ */
+export function shellContinuation(input) {
+  return isIncompleteInput(input);
+}
+
+/**
+ * Creates a detector for languages where the input is incomplete while it
+ * has unbalanced brackets, such as JavaScript or JSON
+ *
+ * Brackets in strings and comments are not taken into account, and the
+ * input is also incomplete while a multi-line string (or a block comment)
+ * is not terminated. The detector returns the nesting depth at the end of
+ * the input.
+ */
+export function createBracketContinuation(syntax = JAVASCRIPT_SYNTAX) {
+  return function(input) {
+    const { depth, open } = scan(input, syntax);
+    return depth + (open ? 1 : 0);
+  };
+}
+
+/**
+ * Creates a detector for languages where the input is incomplete until a
+ * statement terminator, such as the `;` of SQL
+ *
+ * The input is also incomplete while it has unbalanced brackets or an
+ * unterminated string or comment. The detector returns the nesting depth
+ * at the end of the input, if any.
+ */
+export function createTerminatorContinuation(syntax = SQL_SYNTAX) {
+  return function(input) {
+    if (input.trim() === "") return false;
+    const { depth, open, last } = scan(input, syntax);
+    if (depth > 0 || open) return depth + (open ? 1 : 0);
+    return last !== "" && last !== syntax.terminator;
+  };
+}
+
+/**
+ * The detector for JavaScript and JSON
+ */
+export const bracketContinuation = createBracketContinuation();
+
+/**
+ * The detector for SQL
+ */
+export const sqlContinuation = createTerminatorContinuation();
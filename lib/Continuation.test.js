@@ -0,0 +1,44 @@
+const {
+  bracketContinuation,
+  shellContinuation,
+  sqlContinuation
+} = require("./Continuation");
+
+/**
+ * Test the shell detector
+ */
+test("shellContinuation()", () => {
+  expect(shellContinuation("ls |")).toEqual(true);
+  expect(shellContinuation("echo 'a")).toEqual(true);
+  expect(shellContinuation("echo 'a'")).toEqual(false);
+});
+
+/**
+ * Test the bracket-balancing detector, with strings and comments
+ */
+test("bracketContinuation()", () => {
+  expect(bracketContinuation("")).toEqual(0);
+  expect(bracketContinuation("f(1)")).toEqual(0);
+  expect(bracketContinuation("function f() {")).toEqual(1);
+  expect(bracketContinuation("[{\n")).toEqual(2);
+  expect(bracketContinuation('x = "{"; // {')).toEqual(0);
+  expect(bracketContinuation("x = '\\'('")).toEqual(0);
+  expect(bracketContinuation("/* ( */ [")).toEqual(1);
+  expect(bracketContinuation("/* [")).toEqual(1);
+  expect(bracketContinuation("`a\n${")).toEqual(1);
+  expect(bracketContinuation("'a\n(")).toEqual(1);
+  expect(bracketContinuation("f(]}")).toEqual(0);
+});
+
+/**
+ * Test the statement-terminator detector
+ */
+test("sqlContinuation()", () => {
+  expect(sqlContinuation("  ")).toEqual(false);
+  expect(sqlContinuation("SELECT 1;")).toEqual(false);
+  expect(sqlContinuation("SELECT 1; -- done")).toEqual(false);
+  expect(sqlContinuation("SELECT *\nFROM t")).toEqual(true);
+  expect(sqlContinuation("SELECT ';'")).toEqual(true);
+  expect(sqlContinuation("SELECT 'it''s;")).toEqual(1);
+  expect(sqlContinuation("INSERT INTO t VALUES (1,\n")).toEqual(1);
+});
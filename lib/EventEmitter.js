@@ -0,0 +1,76 @@
+/**
+ * A minimal event emitter, where the errors thrown by the listeners are
+ * reported without interrupting the others (nor the emitter)
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  /**
+   * Register a listener for the given event, returning a disposable that
+   * removes it
+   */
+  on(event, fn) {
+    if (!this.listeners.hasOwnProperty(event)) this.listeners[event] = [];
+    this.listeners[event].push(fn);
+    return { dispose: () => this.off(event, fn) };
+  }
+
+  /**
+   * Remove a listener of the given event
+   */
+  off(event, fn) {
+    const listeners = this.listeners[event] || [];
+    const index = listeners.indexOf(fn);
+    if (index !== -1) listeners.splice(index, 1);
+  }
+
+  /**
+   * Returns the number of listeners of the given event
+   */
+  count(event) {
+    return (this.listeners[event] || []).length;
+  }
+
+  /**
+   * Call the listeners of the given event with the payload
+   */
+  emit(event, payload) {
+    (this.listeners[event] || []).slice().forEach(fn => {
+      this.call(event, fn, payload);
+    });
+  }
+
+  /**
+   * Call the listeners of the given event, that can veto or transform the
+   * `key` property of the payload
+   *
+   * Each listener receives the payload as transformed by the previous ones,
+   * and can return `false` to veto it or a new value for the property.
+   * Returns the final value, or `false` if a listener vetoed it.
+   */
+  intercept(event, key, payload) {
+    const listeners = (this.listeners[event] || []).slice();
+    for (let i = 0; i < listeners.length; ++i) {
+      const result = this.call(event, listeners[i], payload);
+      if (result === false) return false;
+      if (result !== undefined) {
+        payload = Object.assign({}, payload, { [key]: result });
+      }
+    }
+    return payload[key];
+  }
+
+  /**
+   * Call a listener, reporting its errors
+   */
+  call(event, fn, payload) {
+    try {
+      return fn(payload);
+    } catch (e) {
+      console.error(`Error in the "${event}" listener:`, e);
+      return undefined;
+    }
+  }
+}
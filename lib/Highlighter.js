@@ -0,0 +1,76 @@
+import { lexShell } from "./ShellLexer";
+
+/**
+ * The default styles of the shell highlighter tokens
+ */
+export const DEFAULT_STYLES = {
+  command: "\x1b[1m",
+  flag: "\x1b[36m",
+  variable: "\x1b[32m",
+  string: "\x1b[33m",
+  operator: "\x1b[35m",
+  comment: "\x1b[90m"
+};
+
+/**
+ * The operators after which a new command starts
+ */
+const COMMAND_OPERATORS = ["||", "&&", ";;", "|&", "&", ";", "(", "|"];
+
+/**
+ * Creates a highlighter for shell-like input, using the given styles
+ *
+ * The input is split with the shell lexer, so that the words are styled
+ * the way they are completed and run. The highlighter returns an array of
+ * `{ text, style }` segments, covering the whole input.
+ */
+export function createShellHighlighter(styles = DEFAULT_STYLES) {
+  return function(input) {
+    const segments = [];
+    let expectCommand = true;
+    let offset = 0;
+
+    lexShell(input).tokens.forEach(token => {
+      // The whitespace (and line continuations) between the tokens, where
+      // a new line starts a new command
+      if (token.start > offset) {
+        const text = input.substring(offset, token.start);
+        if (/(^|[^\\])\n/.test(text)) expectCommand = true;
+        segments.push({ text, style: null });
+      }
+      offset = token.end;
+
+      const { text } = token;
+      let style = null;
+      if (token.type === "comment") {
+        style = styles.comment;
+      } else if (token.type === "operator") {
+        style = styles.operator;
+        expectCommand = COMMAND_OPERATORS.indexOf(text) !== -1;
+      } else {
+        if (/^(['"]|\$')/.test(text)) {
+          style = styles.string;
+        } else if (expectCommand) {
+          style = styles.command;
+        } else if (text.charAt(0) === "-") {
+          style = styles.flag;
+        } else if (text.charAt(0) === "$") {
+          style = styles.variable;
+        }
+        expectCommand = false;
+      }
+
+      segments.push({ text, style });
+    });
+
+    if (offset < input.length) {
+      segments.push({ text: input.substr(offset), style: null });
+    }
+    return segments;
+  };
+}
+
+/**
+ * The default highlighter for shell-like input
+ */
+export const shellHighlighter = createShellHighlighter();
@@ -0,0 +1,48 @@
+const { createShellHighlighter } = require("./Highlighter");
+
+/**
+ * Test shell token highlighting
+ */
+test("createShellHighlighter()", () => {
+  const highlight = createShellHighlighter({
+    command: "C",
+    flag: "F",
+    variable: "V",
+    string: "S",
+    operator: "O",
+    comment: "#"
+  });
+  const styles = input =>
+    highlight(input)
+      .filter(({ style }) => style != null)
+      .map(({ text, style }) => `${style}:${text}`);
+
+  expect(styles(`ls -la $HOME`)).toEqual(["C:ls", "F:-la", "V:$HOME"]);
+  expect(styles(`cat "a b" | grep 'c' && x || y; z`)).toEqual([
+    "C:cat",
+    'S:"a b"',
+    "O:|",
+    "C:grep",
+    "S:'c'",
+    "O:&&",
+    "C:x",
+    "O:||",
+    "C:y",
+    "O:;",
+    "C:z"
+  ]);
+  expect(styles(`echo a#b # comment`)).toEqual(["C:echo", "#:# comment"]);
+  expect(styles(`echo "unterminated`)).toEqual(["C:echo", 'S:"unterminated']);
+  expect(styles(`cmd > file`)).toEqual(["C:cmd", "O:>"]);
+  expect(styles(`echo a"b c" $'d'`)).toEqual(["C:echo", "S:$'d'"]);
+  expect(styles(`echo $(ls -l) 2>&1`)).toEqual([
+    "C:echo",
+    "V:$(ls -l)",
+    "O:>&"
+  ]);
+  expect(styles(`ls \\\n-l\npwd`)).toEqual(["C:ls", "F:-l", "C:pwd"]);
+
+  // The segments always cover the whole input
+  const input = `echo "a\\"b" \\| 'c\nd' # e`;
+  expect(highlight(input).map(({ text }) => text).join("")).toEqual(input);
+});
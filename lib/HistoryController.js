@@ -1,15 +1,66 @@
+import { MemoryHistoryStorage } from "./HistoryStorage";
+
 /**
- * The history controller provides an ring-buffer
+ * Calls the given storage operation, reporting (but otherwise ignoring)
+ * any synchronous or asynchronous failure.
+ */
+function callStorage(fn) {
+  try {
+    const ret = fn();
+    if (ret && typeof ret.then === "function") {
+      return ret.then(null, e => console.error("History storage error:", e));
+    }
+    return ret;
+  } catch (e) {
+    console.error("History storage error:", e);
+  }
+}
+
+/**
+ * The history controller keeps the most recent `size` entries of the
+ * current namespace, persisting them through a storage adapter.
  */
 export class HistoryController {
-  constructor(size) {
+  constructor(size, storage = new MemoryHistoryStorage(), namespace = "default") {
     this.size = size;
+    this.storage = storage;
+    this.entries = [];
+    this.cursor = 0;
+    this.setNamespace(namespace);
+  }
+
+  /**
+   * Switch to a different history namespace, loading its entries
+   *
+   * The entries of synchronous storages are available immediately. For
+   * asynchronous ones, the returned promise (also available as `.ready`)
+   * resolves when the entries are loaded. Entries pushed in the meantime
+   * are kept after the loaded ones.
+   */
+  setNamespace(namespace) {
+    this.namespace = namespace;
     this.entries = [];
     this.cursor = 0;
+
+    const apply = loaded => {
+      if (this.namespace !== namespace) return;
+      this.entries = (loaded || []).concat(this.entries).slice(-this.size);
+      this.cursor = this.entries.length;
+    };
+
+    const loaded = callStorage(() => this.storage.load(namespace));
+    if (loaded && typeof loaded.then === "function") {
+      this.ready = loaded.then(apply);
+    } else {
+      apply(loaded);
+      this.ready = Promise.resolve();
+    }
+
+    return this.ready;
   }
 
   /**
-   * Push an entry and maintain ring buffer size
+   * Push an entry and maintain the size cap
    */
   push(entry) {
     // Skip empty entries
@@ -17,12 +68,23 @@ export class HistoryController {
     // Skip duplicate entries
     const lastEntry = this.entries[this.entries.length - 1];
     if (entry == lastEntry) return;
-    // Keep track of entries
+    // Keep track of entries, dropping the oldest ones
     this.entries.push(entry);
     if (this.entries.length > this.size) {
-      this.entries.pop(0);
+      this.entries.splice(0, this.entries.length - this.size);
     }
     this.cursor = this.entries.length;
+    // Persist the entry
+    callStorage(() => this.storage.append(this.namespace, entry, this.size));
+  }
+
+  /**
+   * Remove all the entries of the current namespace
+   */
+  clear() {
+    this.entries = [];
+    this.cursor = 0;
+    return callStorage(() => this.storage.clear(this.namespace));
   }
 
   /**
@@ -49,4 +111,40 @@ export class HistoryController {
     this.cursor = idx;
     return this.entries[idx];
   }
+
+  /**
+   * Returns the most recent entry that starts with (and is longer than) the
+   * given prefix, or undefined if there is none
+   */
+  findLatestWithPrefix(prefix) {
+    for (let i = this.entries.length - 1; i >= 0; --i) {
+      const entry = this.entries[i];
+      if (entry.length > prefix.length && entry.startsWith(prefix)) {
+        return entry;
+      }
+    }
+  }
+
+  /**
+   * Searches for the closest entry that contains the given query
+   *
+   * The search starts at index `from` (inclusive) and walks towards the
+   * older entries, or towards the newer ones if `backwards` is false. Entries
+   * that are identical to the one at `skip` are ignored, so that cycling
+   * through matches does not stop on duplicates.
+   *
+   * Returns the index of the matching entry, or -1 if nothing was found.
+   */
+  search(query, from, backwards = true, skip = -1) {
+    const step = backwards ? -1 : 1;
+    const skipEntry = this.entries[skip];
+
+    for (let i = from; i >= 0 && i < this.entries.length; i += step) {
+      const entry = this.entries[i];
+      if (skip !== -1 && entry === skipEntry) continue;
+      if (entry.indexOf(query) !== -1) return i;
+    }
+
+    return -1;
+  }
 }
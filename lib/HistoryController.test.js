@@ -0,0 +1,94 @@
+const { HistoryController } = require("./HistoryController");
+const {
+  MemoryHistoryStorage,
+  LocalStorageHistoryStorage
+} = require("./HistoryStorage");
+
+/**
+ * Test history search
+ */
+test("search()", () => {
+  const history = new HistoryController(10);
+  ["git status", "ls -la", "git log", "git log"].forEach(e => history.push(e));
+
+  // Backwards search
+  expect(history.search("git", 2)).toEqual(2);
+  expect(history.search("git", 1)).toEqual(0);
+  expect(history.search("git", 1, true, 2)).toEqual(0);
+  expect(history.search("missing", 2)).toEqual(-1);
+
+  // Forward search
+  expect(history.search("git", 1, false)).toEqual(2);
+  expect(history.search("ls", 0, false)).toEqual(1);
+  expect(history.search("ls", 2, false)).toEqual(-1);
+});
+
+/**
+ * Test the lookup of auto-suggestions
+ */
+test("findLatestWithPrefix()", () => {
+  const history = new HistoryController(10);
+  ["git status", "git log", "ls"].forEach(e => history.push(e));
+
+  expect(history.findLatestWithPrefix("git")).toEqual("git log");
+  expect(history.findLatestWithPrefix("git s")).toEqual("git status");
+  expect(history.findLatestWithPrefix("ls")).toBeUndefined();
+  expect(history.findLatestWithPrefix("cd")).toBeUndefined();
+});
+
+/**
+ * Test that the size cap drops the oldest entries
+ */
+test("push()", () => {
+  const history = new HistoryController(2);
+  ["a", "b", "c"].forEach(e => history.push(e));
+  expect(history.entries).toEqual(["b", "c"]);
+  expect(history.getPrevious()).toEqual("c");
+});
+
+/**
+ * Test persistence through the storage adapters
+ */
+test("storage", () => {
+  const items = {};
+  const fakeStorage = {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => (items[key] = value),
+    removeItem: key => delete items[key]
+  };
+  const storage = new LocalStorageHistoryStorage(fakeStorage);
+
+  const history = new HistoryController(2, storage, "sql");
+  ["a", "b", "c"].forEach(e => history.push(e));
+  expect(JSON.parse(items["local-echo:history:sql"])).toEqual(["b", "c"]);
+
+  // Entries are restored and namespaces are isolated
+  expect(new HistoryController(2, storage, "sql").entries).toEqual(["b", "c"]);
+  expect(new HistoryController(2, storage, "js").entries).toEqual([]);
+
+  history.clear();
+  expect(history.entries).toEqual([]);
+  expect(items["local-echo:history:sql"]).toBeUndefined();
+});
+
+/**
+ * Test asynchronous loading
+ */
+test("setNamespace()", () => {
+  const memory = new MemoryHistoryStorage();
+  memory.append("js", "old", 10);
+  const storage = {
+    load: namespace => Promise.resolve(memory.load(namespace)),
+    append: (namespace, entry, size) => memory.append(namespace, entry, size),
+    clear: namespace => memory.clear(namespace)
+  };
+
+  const history = new HistoryController(10, storage, "js");
+  history.push("new");
+  expect(history.entries).toEqual(["new"]);
+
+  return history.ready.then(() => {
+    expect(history.entries).toEqual(["old", "new"]);
+    expect(memory.load("js")).toEqual(["old", "new"]);
+  });
+});
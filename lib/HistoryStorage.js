@@ -0,0 +1,77 @@
+/**
+ * History storage adapters
+ *
+ * A storage adapter persists the history entries of one or more namespaces
+ * and must implement the following methods, each of which can either
+ * return its result directly or a Promise:
+ *
+ * - `load(namespace)` : Returns the array of entries, oldest first
+ * - `append(namespace, entry, size)` : Appends an entry, keeping at most
+ *   `size` of the most recent entries
+ * - `clear(namespace)` : Removes all the entries
+ */
+
+/**
+ * A storage that keeps the entries in memory, lost when the page reloads
+ */
+export class MemoryHistoryStorage {
+  constructor() {
+    this.namespaces = {};
+  }
+
+  load(namespace) {
+    return (this.namespaces[namespace] || []).slice();
+  }
+
+  append(namespace, entry, size) {
+    const entries = this.namespaces[namespace] || [];
+    entries.push(entry);
+    if (entries.length > size) {
+      entries.splice(0, entries.length - size);
+    }
+    this.namespaces[namespace] = entries;
+  }
+
+  clear(namespace) {
+    delete this.namespaces[namespace];
+  }
+}
+
+/**
+ * A storage that persists the entries as JSON in a `localStorage`-like
+ * object, implementing `getItem`, `setItem` and `removeItem`.
+ */
+export class LocalStorageHistoryStorage {
+  constructor(storage = null, prefix = "local-echo:history:") {
+    if (storage == null && typeof localStorage !== "undefined") {
+      storage = localStorage;
+    }
+    if (storage == null) {
+      throw new Error("No localStorage is available for the history");
+    }
+    this.storage = storage;
+    this.prefix = prefix;
+  }
+
+  load(namespace) {
+    try {
+      const entries = JSON.parse(this.storage.getItem(this.prefix + namespace));
+      return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  append(namespace, entry, size) {
+    const entries = this.load(namespace);
+    entries.push(entry);
+    this.storage.setItem(
+      this.prefix + namespace,
+      JSON.stringify(entries.slice(-size))
+    );
+  }
+
+  clear(namespace) {
+    this.storage.removeItem(this.prefix + namespace);
+  }
+}
@@ -0,0 +1,309 @@
+import { parseKey } from "./Keymap";
+
+/**
+ * The sequences that surround pasted text in bracketed paste mode
+ */
+const PASTE_START = "\x1b[200~";
+const PASTE_END = "\x1b[201~";
+
+/**
+ * The keys of the CSI (`ESC [`) and SS3 (`ESC O`) sequences, by their final
+ * character
+ */
+const CSI_KEYS = {
+  A: "Up",
+  B: "Down",
+  C: "Right",
+  D: "Left",
+  H: "Home",
+  F: "End",
+  P: "F1",
+  Q: "F2",
+  R: "F3",
+  S: "F4",
+  Z: "Tab"
+};
+const SS3_KEYS = Object.assign({}, CSI_KEYS, { M: "Enter" });
+
+/**
+ * The keys of the `ESC [ <number> ~` sequences, by their number
+ */
+const TILDE_KEYS = {
+  1: "Home",
+  2: "Insert",
+  3: "Delete",
+  4: "End",
+  5: "PageUp",
+  6: "PageDown",
+  7: "Home",
+  8: "End",
+  11: "F1",
+  12: "F2",
+  13: "F3",
+  14: "F4",
+  15: "F5",
+  17: "F6",
+  18: "F7",
+  19: "F8",
+  20: "F9",
+  21: "F10",
+  23: "F11",
+  24: "F12"
+};
+
+/**
+ * Creates a key event
+ *
+ * The `sequence` of the event is the canonical sequence of the key, as
+ * produced by `parseKey` (and used by the keymap), whatever variant of it
+ * the terminal sent in `raw`.
+ */
+function createKey(name, raw, modifiers = {}) {
+  const ctrl = !!modifiers.ctrl;
+  const meta = !!modifiers.meta;
+  const shift = !!modifiers.shift;
+  const notation =
+    (ctrl ? "C-" : "") + (meta ? "M-" : "") + (shift ? "S-" : "") + name;
+  return { name, sequence: parseKey(notation), raw, ctrl, meta, shift };
+}
+
+/**
+ * Creates the key event of a single character, either a printable one or a
+ * control character
+ */
+function createCharKey(chr, raw, meta = false) {
+  const code = chr.charCodeAt(0);
+  const prefix = meta ? "\x1b" : "";
+
+  if (chr === "\r" || chr === "\n") return createKey("Enter", raw, { meta });
+  if (chr === "\t") return createKey("Tab", raw, { meta });
+  if (chr === "\x7f") return createKey("Backspace", raw, { meta });
+
+  if (code < 32) {
+    // Control characters are reported as the letter (or symbol) typed
+    // along with the control key
+    const name = String.fromCharCode(code + (code && code <= 26 ? 96 : 64));
+    return {
+      name,
+      sequence: prefix + chr,
+      raw,
+      ctrl: true,
+      meta,
+      shift: false
+    };
+  }
+
+  return {
+    name: chr,
+    sequence: prefix + chr,
+    raw,
+    ctrl: false,
+    meta,
+    shift: false,
+    text: meta ? undefined : chr
+  };
+}
+
+/**
+ * Decodes the modifiers parameter of a CSI sequence (e.g. the `5` in
+ * `ESC [ 1 ; 5 C`)
+ */
+function decodeModifiers(param) {
+  const mask = (parseInt(param, 10) || 1) - 1;
+  return { shift: !!(mask & 1), meta: !!(mask & 2), ctrl: !!(mask & 4) };
+}
+
+/**
+ * Decodes a complete CSI sequence into a key event
+ */
+function decodeCSI(raw, params, final, meta) {
+  const args = params.split(";");
+  let name = null;
+  let modifiers = decodeModifiers(args[1]);
+
+  if (final === "~") {
+    name = TILDE_KEYS[args[0]] || null;
+  } else if (CSI_KEYS[final] && /^(1?(;\d+)?)$/.test(params)) {
+    name = CSI_KEYS[final];
+    if (final === "Z") modifiers.shift = true;
+  }
+
+  // Sequences that are not keys are passed as they are
+  if (name == null) {
+    return { name: null, sequence: raw, raw, ctrl: false, meta, shift: false };
+  }
+
+  modifiers.meta = modifiers.meta || meta;
+  return createKey(name, raw, modifiers);
+}
+
+/**
+ * An input decoder splits the data received from the terminal into key
+ * events.
+ *
+ * It recognizes the escape sequences of the special keys (in the CSI and
+ * SS3 forms, with their modifiers), the keys pressed along with Alt (that
+ * are prefixed with ESC), control characters and bracketed pastes.
+ * Sequences that are incomplete at the end of the data are kept until more
+ * data arrives, or until `flush` is called.
+ *
+ * Each key event has the following properties:
+ * - `name`: The name of the key (as in `NAMED_KEYS`), the character typed,
+ *   `"Paste"` for pasted text or `null` for unknown sequences
+ * - `sequence`: The canonical sequence of the key, as used by the keymap
+ * - `raw`: The data the terminal sent for the key
+ * - `ctrl`, `meta` and `shift`: The modifiers pressed along with it
+ * - `text`: The printable text of the key or the pasted text, if any
+ */
+export class InputDecoder {
+  constructor() {
+    this.buffer = "";
+    this.paste = null;
+  }
+
+  /**
+   * Checks if there is incomplete data waiting for more to arrive
+   */
+  get pending() {
+    return this.buffer !== "" || this.paste != null;
+  }
+
+  /**
+   * Decode the given data, returning the key events that are complete
+   */
+  feed(data) {
+    const input = this.buffer + data;
+    const keys = [];
+    this.buffer = "";
+
+    let i = 0;
+    while (i < input.length) {
+      // Collect the pasted text until the end of the paste
+      if (this.paste != null) {
+        const end = input.indexOf(PASTE_END, i);
+        if (end === -1) {
+          this.buffer = input.substr(i);
+          return keys;
+        }
+        const text = this.paste + input.substring(i, end);
+        keys.push({ name: "Paste", sequence: "", raw: text, text });
+        this.paste = null;
+        i = end + PASTE_END.length;
+        continue;
+      }
+
+      if (input.startsWith(PASTE_START, i)) {
+        this.paste = "";
+        i += PASTE_START.length;
+        continue;
+      }
+
+      const length = this.decodeKey(input, i, keys);
+      if (length === 0) {
+        // Incomplete sequence
+        this.buffer = input.substr(i);
+        break;
+      }
+      i += length;
+    }
+
+    return keys;
+  }
+
+  /**
+   * Decode the data that is kept as an incomplete sequence, as if no more
+   * data is going to follow it (e.g. a lone ESC is the Escape key)
+   */
+  flush() {
+    if (this.paste != null) return [];
+    const input = this.buffer;
+    const keys = [];
+    this.buffer = "";
+
+    for (let i = 0; i < input.length; ) {
+      const length = this.decodeKey(input, i, keys, true);
+      i += length;
+    }
+    return keys;
+  }
+
+  /**
+   * Decode the key at the given offset, adding its event to `keys`
+   *
+   * Returns the length of the data consumed, or 0 if the key is an
+   * incomplete sequence. When `final` is set, incomplete sequences are
+   * decoded as separate keys instead.
+   */
+  decodeKey(input, offset, keys, final = false) {
+    const chr = input[offset];
+
+    if (chr !== "\x1b") {
+      // Keep surrogate pairs together
+      const code = input.codePointAt(offset);
+      const length = code > 0xffff ? 2 : 1;
+      const text = input.substr(offset, length);
+      keys.push(createCharKey(text, text));
+      return length;
+    }
+
+    // ESC, possibly followed by another ESC for the Alt modifier
+    let start = offset + 1;
+    let meta = false;
+    if (input[start] === "\x1b" && /[[O]/.test(input[start + 1] || "")) {
+      meta = true;
+      start += 1;
+    }
+
+    if (start >= input.length) {
+      if (!final) return 0;
+      keys.push(createKey("Escape", input.substring(offset, start)));
+      return start - offset;
+    }
+
+    const next = input[start];
+    if (next === "[") {
+      // CSI: parameters, intermediate bytes and a final byte
+      const match = /^\[([\x30-\x3f]*)[\x20-\x2f]*([\x40-\x7e])?/.exec(
+        input.substr(start)
+      );
+      const end = start + match[0].length;
+      if (match[2] === undefined) {
+        if (end < input.length) {
+          // Malformed sequence, take the ESC as a key on its own
+          keys.push(createKey("Escape", "\x1b"));
+          return 1;
+        }
+        if (!final) return 0;
+        keys.push(createCharKey("[", input.substring(offset, start + 1), true));
+        return start + 1 - offset;
+      }
+      const raw = input.substring(offset, end);
+      keys.push(decodeCSI(raw, match[1], match[2], meta));
+      return end - offset;
+    }
+
+    if (next === "O") {
+      // SS3: a single final character
+      if (start + 1 >= input.length) {
+        if (!final) return 0;
+        keys.push(createCharKey("O", input.substring(offset, start + 1), true));
+        return start + 1 - offset;
+      }
+      const raw = input.substring(offset, start + 2);
+      const name = SS3_KEYS[input[start + 1]];
+      keys.push(
+        name
+          ? createKey(name, raw, { meta })
+          : { name: null, sequence: raw, raw, ctrl: false, meta, shift: false }
+      );
+      return start + 2 - offset;
+    }
+
+    // Alt along with a character
+    const code = input.codePointAt(start);
+    const length = code > 0xffff ? 2 : 1;
+    const raw = input.substring(offset, start + length);
+    keys.push(createCharKey(input.substr(start, length), raw, true));
+    return start + length - offset;
+  }
+}
@@ -0,0 +1,67 @@
+const { InputDecoder } = require("./InputDecoder");
+
+/**
+ * Returns the canonical sequences of the keys decoded from the given data
+ */
+function decode(decoder, data) {
+  return decoder.feed(data).map(key => key.sequence);
+}
+
+/**
+ * Test splitting a chunk into keys
+ */
+test("feed()", () => {
+  const decoder = new InputDecoder();
+  expect(decode(decoder, "a\x1b[D\x1b[1;5C\x1bb\x01日😀")).toEqual([
+    "a",
+    "\x1b[D",
+    "\x1b[1;5C",
+    "\x1bb",
+    "\x01",
+    "日",
+    "😀"
+  ]);
+
+  // Variants of the same keys
+  expect(decode(decoder, "\x1bOH\x1b[1~\x1b[7~\x1b[H")).toEqual([
+    "\x1b[H",
+    "\x1b[H",
+    "\x1b[H",
+    "\x1b[H"
+  ]);
+  expect(decode(decoder, "\x1b\x1b[A\x1b[Z\n")).toEqual([
+    "\x1b[1;3A",
+    "\x1b[Z",
+    "\r"
+  ]);
+
+  const [key] = decoder.feed("\x1b[3;5~");
+  expect(key).toMatchObject({ name: "Delete", ctrl: true, shift: false });
+});
+
+/**
+ * Test buffering incomplete sequences
+ */
+test("partial sequences", () => {
+  const decoder = new InputDecoder();
+  expect(decode(decoder, "x\x1b[1;")).toEqual(["x"]);
+  expect(decoder.pending).toBe(true);
+  expect(decode(decoder, "5D")).toEqual(["\x1b[1;5D"]);
+  expect(decoder.pending).toBe(false);
+
+  expect(decode(decoder, "\x1b")).toEqual([]);
+  expect(decoder.flush().map(key => key.name)).toEqual(["Escape"]);
+});
+
+/**
+ * Test bracketed paste, split across chunks
+ */
+test("bracketed paste", () => {
+  const decoder = new InputDecoder();
+  expect(decoder.feed("a\x1b[200~one\r\ntw")).toHaveLength(1);
+  expect(decoder.flush()).toEqual([]);
+
+  const keys = decoder.feed("o\x1b[201~b");
+  expect(keys.map(key => key.name)).toEqual(["Paste", "b"]);
+  expect(keys[0].text).toEqual("one\r\ntwo");
+});
@@ -0,0 +1,207 @@
+/**
+ * The escape sequences xterm.js emits for the named keys
+ */
+export const NAMED_KEYS = {
+  Up: "\x1b[A",
+  Down: "\x1b[B",
+  Right: "\x1b[C",
+  Left: "\x1b[D",
+  Home: "\x1b[H",
+  End: "\x1b[F",
+  Insert: "\x1b[2~",
+  Delete: "\x1b[3~",
+  PageUp: "\x1b[5~",
+  PageDown: "\x1b[6~",
+  F1: "\x1bOP",
+  F2: "\x1bOQ",
+  F3: "\x1bOR",
+  F4: "\x1bOS",
+  F5: "\x1b[15~",
+  F6: "\x1b[17~",
+  F7: "\x1b[18~",
+  F8: "\x1b[19~",
+  F9: "\x1b[20~",
+  F10: "\x1b[21~",
+  F11: "\x1b[23~",
+  F12: "\x1b[24~",
+  Enter: "\r",
+  Tab: "\t",
+  Backspace: "\x7f",
+  Escape: "\x1b",
+  Esc: "\x1b",
+  Space: " "
+};
+
+/**
+ * The default key bindings, using the key notation of `parseKeySequence`
+ */
+export const DEFAULT_BINDINGS = {
+  Up: "history-previous",
+  Down: "history-next",
+  Left: "cursor-left",
+  Right: "cursor-right",
+  Home: "cursor-home",
+  End: "cursor-end",
+  "M-b": "word-left",
+  "M-f": "word-right",
+  "C-Left": "word-left",
+  "C-Right": "word-right",
+  "C-a": "cursor-home",
+  "C-e": "cursor-end",
+  "C-b": "cursor-left",
+  "C-f": "cursor-right",
+  Delete: "delete-char",
+  Backspace: "backward-delete-char",
+  "M-Backspace": "backward-kill-word",
+  "M-d": "kill-word",
+  "C-k": "kill-line",
+  "C-u": "backward-kill-line",
+  "C-w": "unix-word-rubout",
+  "C-y": "yank",
+  "M-y": "yank-pop",
+  "C-t": "transpose-chars",
+  "M-u": "upcase-word",
+  "M-l": "downcase-word",
+  "M-c": "capitalize-word",
+  "C-_": "undo",
+  "C-x C-u": "undo",
+  "M-_": "redo",
+  "C-x C-r": "redo",
+  "C-l": "clear-screen",
+  "C-r": "reverse-search-history",
+  "C-s": "forward-search-history",
+  "C-c": "interrupt",
+  Enter: "accept-line",
+  Tab: "complete",
+  "S-Tab": "complete-backward"
+};
+
+/**
+ * Converts a single key in emacs-like notation to the sequence the
+ * terminal emits for it.
+ *
+ * A key is an optional combination of the `C-` (control), `M-` (alt) and
+ * `S-` (shift) modifiers, followed by a single character or a key name from
+ * `NAMED_KEYS` (e.g. `C-a`, `M-f`, `C-Left`, `F1`). Anything else is
+ * considered to be a raw sequence and is returned as-is.
+ */
+export function parseKey(key) {
+  const match = /^((?:[CMS]-)*)(.+)$/.exec(key);
+  const modifiers = match[1];
+  const name = match[2];
+  const ctrl = modifiers.indexOf("C-") !== -1;
+  const meta = modifiers.indexOf("M-") !== -1;
+  const shift = modifiers.indexOf("S-") !== -1;
+
+  // Raw sequences
+  if (name.length > 1 && !NAMED_KEYS.hasOwnProperty(name)) {
+    if (modifiers) throw new Error(`Unknown key: ${key}`);
+    return key;
+  }
+
+  // Single characters
+  if (name.length === 1) {
+    let chr = shift ? name.toUpperCase() : name;
+    if (ctrl) {
+      chr =
+        chr === "?"
+          ? "\x7f"
+          : String.fromCharCode(chr.toUpperCase().charCodeAt(0) & 0x1f);
+    }
+    return (meta ? "\x1b" : "") + chr;
+  }
+
+  // Named keys with modifiers on CSI and SS3 sequences
+  const seq = NAMED_KEYS[name];
+  const csi = /^\x1b(?:\[(\d*)|O)([A-Z~])$/.exec(seq);
+  if (csi && (ctrl || meta || shift)) {
+    const param = 1 + (shift ? 1 : 0) + (meta ? 2 : 0) + (ctrl ? 4 : 0);
+    return `\x1b[${csi[1] || 1};${param}${csi[2]}`;
+  }
+  if (shift && name === "Tab") return "\x1b[Z";
+
+  return (meta ? "\x1b" : "") + seq;
+}
+
+/**
+ * Converts a key sequence to an array of terminal sequences, one for each
+ * key in the chord.
+ *
+ * The sequence can be either a string with space-separated keys in the
+ * notation of `parseKey` (e.g. `C-x C-u`) or an array of keys.
+ */
+export function parseKeySequence(sequence) {
+  const keys = Array.isArray(sequence)
+    ? sequence
+    : sequence.split(" ").filter(key => key !== "");
+  if (keys.length === 0) throw new Error("Empty key sequence");
+  return keys.map(parseKey);
+}
+
+/**
+ * A keymap resolves the keys the user types into actions, supporting
+ * multi-key chords (such as `C-x C-u`).
+ *
+ * The action is either the name of an editing action, or a function.
+ */
+export class Keymap {
+  constructor(bindings = {}) {
+    this.root = { children: {} };
+    this.pending = null;
+    Object.keys(bindings).forEach(key => this.bind(key, bindings[key]));
+  }
+
+  /**
+   * Bind the given key sequence to the given action
+   */
+  bind(sequence, action) {
+    const keys = parseKeySequence(sequence);
+    let node = this.root;
+    keys.forEach(key => {
+      if (!node.children[key]) node.children[key] = { children: {} };
+      node = node.children[key];
+    });
+    node.action = action;
+  }
+
+  /**
+   * Remove the binding of the given key sequence
+   */
+  unbind(sequence) {
+    const keys = parseKeySequence(sequence);
+    const node = keys.reduce(
+      (node, key) => node && node.children[key],
+      this.root
+    );
+    if (node) delete node.action;
+  }
+
+  /**
+   * Look-up the action for the given key, considering any pending chord
+   *
+   * Returns:
+   * - `null` if the key is not bound
+   * - `{ pending: true }` if the key is the prefix of a chord
+   * - `{ action }` with the action to perform, which is `null` if the key
+   *   does not complete the chord that was pending
+   */
+  lookup(key) {
+    const inChord = this.pending != null;
+    const node = (this.pending || this.root).children[key];
+    this.pending = null;
+
+    if (node && node.action != null) return { action: node.action };
+    if (node && Object.keys(node.children).length > 0) {
+      this.pending = node;
+      return { pending: true };
+    }
+    return inChord ? { action: null } : null;
+  }
+
+  /**
+   * Cancel any pending chord
+   */
+  reset() {
+    this.pending = null;
+  }
+}
@@ -0,0 +1,50 @@
+const { Keymap, parseKey, parseKeySequence } = require("./Keymap");
+
+/**
+ * Test key notation parsing
+ */
+test("parseKey()", () => {
+  expect(parseKey("a")).toEqual("a");
+  expect(parseKey("C-a")).toEqual("\x01");
+  expect(parseKey("C-_")).toEqual("\x1f");
+  expect(parseKey("M-f")).toEqual("\x1bf");
+  expect(parseKey("M-Backspace")).toEqual("\x1b\x7f");
+  expect(parseKey("Up")).toEqual("\x1b[A");
+  expect(parseKey("C-Left")).toEqual("\x1b[1;5D");
+  expect(parseKey("S-Delete")).toEqual("\x1b[3;2~");
+  expect(parseKey("F1")).toEqual("\x1bOP");
+  expect(parseKey("C-F1")).toEqual("\x1b[1;5P");
+  expect(parseKey("S-Tab")).toEqual("\x1b[Z");
+  expect(parseKey("\x1b[5;5~")).toEqual("\x1b[5;5~");
+  expect(() => parseKey("C-Foo")).toThrow();
+});
+
+/**
+ * Test key sequence parsing
+ */
+test("parseKeySequence()", () => {
+  expect(parseKeySequence("C-x C-u")).toEqual(["\x18", "\x15"]);
+  expect(parseKeySequence(["\x18", "u"])).toEqual(["\x18", "u"]);
+  expect(() => parseKeySequence("")).toThrow();
+});
+
+/**
+ * Test key look-up, including chords
+ */
+test("Keymap", () => {
+  const keymap = new Keymap({ "C-a": "cursor-home", "C-x C-u": "undo" });
+
+  expect(keymap.lookup("\x01")).toEqual({ action: "cursor-home" });
+  expect(keymap.lookup("a")).toEqual(null);
+
+  expect(keymap.lookup("\x18")).toEqual({ pending: true });
+  expect(keymap.lookup("\x15")).toEqual({ action: "undo" });
+
+  // Keys not completing a chord are consumed
+  expect(keymap.lookup("\x18")).toEqual({ pending: true });
+  expect(keymap.lookup("a")).toEqual({ action: null });
+  expect(keymap.lookup("a")).toEqual(null);
+
+  keymap.unbind("C-a");
+  expect(keymap.lookup("\x01")).toEqual(null);
+});
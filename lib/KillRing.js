@@ -0,0 +1,51 @@
+/**
+ * The kill ring keeps the text removed by the kill commands, so that it can
+ * be yanked back, just like in emacs and readline.
+ */
+export class KillRing {
+  constructor(size = 10) {
+    this.size = size;
+    this.entries = [];
+    this.index = 0;
+  }
+
+  /**
+   * Push a killed text in the ring
+   *
+   * When `accumulate` is true, the text is merged with the most recent
+   * entry instead (prepended if `prepend` is true), which is what happens
+   * when consecutive kill commands are used.
+   */
+  push(text, accumulate = false, prepend = false) {
+    if (text === "") return;
+    if (accumulate && this.entries.length > 0) {
+      const last = this.entries.length - 1;
+      this.entries[last] = prepend
+        ? text + this.entries[last]
+        : this.entries[last] + text;
+    } else {
+      this.entries.push(text);
+      if (this.entries.length > this.size) {
+        this.entries.splice(0, this.entries.length - this.size);
+      }
+    }
+    this.index = this.entries.length - 1;
+  }
+
+  /**
+   * Returns the most recently killed text
+   */
+  yank() {
+    this.index = this.entries.length - 1;
+    return this.entries[this.index];
+  }
+
+  /**
+   * Rotates the ring and returns the previously killed text
+   */
+  rotate() {
+    if (this.entries.length === 0) return undefined;
+    this.index = (this.index - 1 + this.entries.length) % this.entries.length;
+    return this.entries[this.index];
+  }
+}
@@ -0,0 +1,35 @@
+const { KillRing } = require("./KillRing");
+
+/**
+ * Test pushing texts, merging consecutive kills
+ */
+test("push()", () => {
+  const ring = new KillRing();
+  ring.push("foo");
+  ring.push(" bar", true);
+  expect(ring.yank()).toEqual("foo bar");
+
+  ring.push("baz ", true, true);
+  expect(ring.yank()).toEqual("baz foo bar");
+
+  ring.push("");
+  ring.push("qux");
+  expect(ring.entries).toEqual(["baz foo bar", "qux"]);
+});
+
+/**
+ * Test rotating the ring, and dropping the oldest entries
+ */
+test("rotate()", () => {
+  const ring = new KillRing(2);
+  expect(ring.yank()).toBeUndefined();
+  expect(ring.rotate()).toBeUndefined();
+
+  ring.push("a");
+  ring.push("b");
+  ring.push("c");
+  expect(ring.yank()).toEqual("c");
+  expect(ring.rotate()).toEqual("b");
+  expect(ring.rotate()).toEqual("c");
+  expect(ring.yank()).toEqual("c");
+});
@@ -1,15 +1,68 @@
+import { ACTIONS } from "./Actions";
+import { isolateLineStyles, segmentsToAnsi, stripAnsi } from "./Ansi";
+import { shellContinuation } from "./Continuation";
+import { EventEmitter } from "./EventEmitter";
 import { HistoryController } from "./HistoryController";
+import { InputDecoder } from "./InputDecoder";
+import { DEFAULT_BINDINGS, Keymap, parseKeySequence } from "./Keymap";
+import { KillRing } from "./KillRing";
+import { Renderer } from "./Renderer";
+import { UndoController } from "./UndoController";
+import {
+  graphemeBoundaries,
+  nextGraphemeOffset,
+  prevGraphemeOffset,
+  stringWidth,
+  truncateToWidth
+} from "./Unicode";
 import {
-  closestLeftBoundary,
   closestRightBoundary,
-  collectAutocompleteCandidates,
+  collectAutocompleteCandidatesAsync,
   countLines,
-  getLastToken,
+  getLastTokenRange,
+  getTokenQuote,
   hasTailingWhitespace,
-  isIncompleteInput,
+  normalizeCandidate,
   offsetToColRow,
-  getSharedFragment
+  parseShellWord,
+  quoteShellWord,
+  getSharedFragment,
+  sortCandidates
 } from "./Utils";
+import { ViMode } from "./ViMode";
+
+/**
+ * The time to wait for the auto-complete handlers before displaying the
+ * indicator, in milliseconds
+ */
+const AUTOCOMPLETE_INDICATOR_DELAY = 100;
+
+/**
+ * The time to wait for the rest of an incomplete escape sequence, before
+ * taking its keys as they are (e.g. a lone ESC as the Escape key), in
+ * milliseconds
+ */
+const ESCAPE_TIMEOUT = 50;
+
+/**
+ * The keys that deliver a signal while no read is active, along with the
+ * signal and the text echoed for them
+ */
+const SIGNAL_KEYS = {
+  "\x03": { signal: "SIGINT", echo: "^C" },
+  "\x1a": { signal: "SIGTSTP", echo: "^Z" }
+};
+
+/**
+ * Returns the error message for the result of a validation function, or
+ * null if the input is valid
+ */
+function getValidationError(result) {
+  if (result === false) return "Invalid input";
+  if (result instanceof Error) return result.message || "Invalid input";
+  if (typeof result === "string" && result !== "") return result;
+  return null;
+}
 
 /**
  * A local terminal controller is responsible for displaying messages
@@ -19,8 +72,20 @@ import {
  * - Arrow navigation on the input
  * - Alt-arrow for word-boundary navigation
  * - Alt-backspace for word-boundary deletion
+ * - Emacs-style editing keys, with a kill ring
+ * - Undo and redo of the edits on the current line
+ * - Wide and combining unicode characters
+ * - Syntax highlighting hooks
+ * - Inline suggestions from history
+ * - Bracketed paste
+ * - User-configurable key bindings
+ * - Optional vi editing mode
  * - Multi-line input for incomplete commands
  * - Auto-complete hooks
+ * - Reverse incremental history search
+ * - Masked input for passwords
+ * - Interrupting commands that run between reads
+ * - Events for the changes of the input
  */
 export default class LocalEchoController {
   constructor(term = null, options = {}) {
@@ -28,21 +93,77 @@ export default class LocalEchoController {
     this._handleTermData = this.handleTermData.bind(this);
     this._handleTermResize = this.handleTermResize.bind(this)
     
-    this.history = new HistoryController(options.historySize || 10);
+    this.history = new HistoryController(
+      options.historySize || 10,
+      options.historyStorage,
+      options.historyNamespace
+    );
     this.maxAutocompleteEntries = options.maxAutocompleteEntries || 100;
+    this.autocompleteTimeout = options.autocompleteTimeout || 5000;
+    this.autocompleteIndicator =
+      options.autocompleteIndicator !== undefined
+        ? options.autocompleteIndicator
+        : "completing...";
+    this.completionMenu = options.completionMenu || false;
+    this.completionMenuRows = options.completionMenuRows || 10;
+    this.bracketedPaste = options.bracketedPaste !== false;
+    this.onPaste = options.onPaste || null;
+    this.highlighter = options.highlighter || null;
+    this.continuation = options.continuation || shellContinuation;
+    this.autosuggest = options.autosuggest || false;
+    this.suggestionStyle = options.suggestionStyle || "\x1b[2m";
+    this.errorStyle = options.errorStyle || "\x1b[31m";
+    this.killRing = new KillRing();
+    this.undo = new UndoController();
+    this.keymap = new Keymap(DEFAULT_BINDINGS);
+    this._customKeys = {};
+    this.vi = null;
+    this._viModeIndicators = options.viModeIndicators || {};
 
     this._autocompleteHandlers = [];
+    this._events = new EventEmitter();
+    this._emitted = { input: "", cursor: 0 };
+    this._abortControllers = [];
     this._active = false;
     this._input = "";
     this._cursor = 0;
     this._activePrompt = null;
     this._activeCharPrompt = null;
+    this._search = null;
+    this._suggestion = "";
+    this._hint = "";
+    this._placeholder = "";
+    this._error = "";
+    this._completion = null;
+    this._menu = null;
+    this._popup = null;
+    this._menuText = "";
+    this._decoder = new InputDecoder();
+    this._renderer = new Renderer();
+    this._output = null;
+    this._escapeTimer = null;
+    this._yank = null;
+    this._lastCommand = null;
+    this._previousCommand = null;
+    this._editType = null;
+    this._undoing = false;
+    this._lastCursor = 0;
     this._termSize = {
       cols: 0,
       rows: 0,
     };
 
     this._disposables = [];
+
+    const keyBindings = options.keyBindings || {};
+    Object.keys(keyBindings).forEach(key => {
+      if (keyBindings[key] == null) {
+        this.unbindKey(key);
+      } else {
+        this.bindKey(key, keyBindings[key]);
+      }
+    });
+    if (options.editMode) this.setEditMode(options.editMode);
     
     if (term) {
       if (term.loadAddon) term.loadAddon(this);
@@ -95,11 +216,18 @@ export default class LocalEchoController {
 
   /**
    * Register a handler that will be called to satisfy auto-completion
+   *
+   * The handler can also be given as `{ fn, timeout }`, to override the
+   * `autocompleteTimeout` for it.
    */
   addAutocompleteHandler(fn, ...args) {
+    const timeout = typeof fn === "function" ? null : fn.timeout;
+    if (typeof fn !== "function") fn = fn.fn;
+
     this._autocompleteHandlers.push({
       fn,
-      args
+      args,
+      timeout
     });
   }
 
@@ -113,23 +241,160 @@ export default class LocalEchoController {
     this._autocompleteHandlers.splice(idx, 1);
   }
 
+  /**
+   * Bind a key sequence to an editing action or a custom handler
+   *
+   * The sequence uses emacs-like notation (e.g. `C-l`, `M-f`, `F1`), with
+   * space-separated keys for chords (e.g. `C-x C-u`). The action is either
+   * the name of an editing action (e.g. `kill-line`) or a function that
+   * receives a context object for editing the input.
+   */
+  bindKey(sequence, action) {
+    if (typeof action !== "function" && !ACTIONS.hasOwnProperty(action)) {
+      throw new Error(`Unknown action: ${action}`);
+    }
+    this.keymap.bind(sequence, action);
+    this._customKeys[parseKeySequence(sequence).join(" ")] = true;
+  }
+
+  /**
+   * Remove the binding of a key sequence
+   */
+  unbindKey(sequence) {
+    this.keymap.unbind(sequence);
+    delete this._customKeys[parseKeySequence(sequence).join(" ")];
+  }
+
+  /**
+   * Switch between the "emacs" (default) and "vi" editing modes
+   */
+  setEditMode(mode) {
+    if (mode !== "vi" && mode !== "emacs") {
+      throw new Error(`Unknown edit mode: ${mode}`);
+    }
+
+    if (mode === "vi") {
+      this.vi = new ViMode(this, this._viModeIndicators);
+      this.keymap.bind("Escape", "vi-normal-mode");
+    } else {
+      this.vi = null;
+      this.keymap.unbind("Escape");
+    }
+
+    if (this._active) this.setInput(this._input);
+  }
+
   /**
    * Return a promise that will resolve when the user has completed
    * typing a single line
+   *
+   * The options can be given either as the second argument, or after the
+   * continuation prompt:
+   * - `continuationPrompt`: The prompt of the continuation lines. It can be
+   *   a function, that receives the nesting depth reported by the detector
+   *   of incomplete input for each line.
+   * - `continuation`: Overrides the detector of incomplete input
+   * - `validate`: A function that checks the input when the user presses
+   *   enter, returning (or resolving to) an error message if it is not
+   *   valid. The message is displayed under the input, which stays as it is
+   *   for the user to correct.
+   * - `initialText`: The text the input starts with, for the user to edit
+   * - `placeholder`: The text displayed (dimmed) while the input is empty
+   * - `maxLength`: The maximum length of the input
+   * - `allowedChars`: A regular expression (or a function) that the
+   *   characters typed must match, others are ignored
+   * - `history`: Set to `false` in order to not navigate or record the
+   *   history during this read
+   * - `historyNamespace`: The history namespace to switch to (and load)
+   *   before reading, which stays active for the next reads
    */
-  read(prompt, continuationPrompt = "> ") {
-    return new Promise((resolve, reject) => {
-      this.term.write(prompt);
-      this._activePrompt = {
-        prompt,
+  read(prompt, continuationPrompt = "> ", options = {}) {
+    if (continuationPrompt !== null && typeof continuationPrompt === "object") {
+      options = continuationPrompt;
+      continuationPrompt =
+        options.continuationPrompt != null ? options.continuationPrompt : "> ";
+    }
+    if (
+      options.historyNamespace != null &&
+      options.historyNamespace !== this.history.namespace
+    ) {
+      this.history.setNamespace(options.historyNamespace);
+    }
+    return this.startRead(
+      Object.assign(this.createReadState(prompt, options), {
         continuationPrompt,
-        resolve,
-        reject
-      };
+        continuation: options.continuation,
+        history: options.history !== false
+      })
+    );
+  }
 
-      this._input = "";
-      this._cursor = 0;
+  /**
+   * Return a promise that will resolve when the user has completed
+   * typing a secret, such as a password
+   *
+   * The input is displayed as the `mask` option repeated for every
+   * character (nothing by default), it is not auto-completed nor recorded in
+   * the history and it is wiped once the read completes. Pressing Ctrl+C
+   * rejects the promise with `"interrupted"`. The `validate`,
+   * `placeholder`, `maxLength` and `allowedChars` options of `read` are
+   * supported as well.
+   */
+  readPassword(prompt, options = {}) {
+    return this.startRead(
+      Object.assign(this.createReadState(prompt, options), {
+        continuationPrompt: "",
+        secret: true,
+        mask: options.mask || "",
+        history: false
+      })
+    );
+  }
+
+  /**
+   * Creates the state of a read operation, with the options that apply to
+   * all kinds of reads
+   */
+  createReadState(prompt, options) {
+    return {
+      prompt,
+      validate: options.validate,
+      initialText: options.initialText || "",
+      placeholder: options.placeholder || "",
+      maxLength: options.maxLength != null ? options.maxLength : Infinity,
+      allowedChars: options.allowedChars || null
+    };
+  }
+
+  /**
+   * Start a read operation with the given prompt state
+   */
+  startRead(activePrompt) {
+    return new Promise((resolve, reject) => {
+      this._activePrompt = Object.assign(activePrompt, { resolve, reject });
+
+      // The signals of the previous command can no longer be aborted
+      this._abortControllers = [];
+
+      this._input = this.limitInput(activePrompt.initialText, 0);
+      this._cursor = this._input.length;
+      this._search = null;
+      this._suggestion = "";
+      this._placeholder = this.getPlaceholder(this._input);
+      this._error = "";
+      this._popup = null;
+      this._menuText = "";
+      this._lastCursor = this._cursor;
+      this._emitted = this.getDisplayedInput();
+      this.undo.reset();
+      this.keymap.reset();
+      if (this.vi) this.vi.reset();
       this._active = true;
+      this._renderer.reset();
+      this.batchWrites(() => {
+        if (this.bracketedPaste) this.write("\x1b[?2004h");
+        this.render();
+      });
     });
   }
 
@@ -142,7 +407,7 @@ export default class LocalEchoController {
    */
   readChar(prompt) {
     return new Promise((resolve, reject) => {
-      this.term.write(prompt);
+      this.write(prompt);
       this._activeCharPrompt = {
         prompt,
         resolve,
@@ -155,20 +420,89 @@ export default class LocalEchoController {
    * Abort a pending read operation
    */
   abortRead(reason = "aborted") {
-    if (this._activePrompt != null || this._activeCharPrompt != null) {
-      this.term.write("\r\n");
+    if (this._activePrompt != null) {
+      this.closeCompletionMenu();
+      this.hideSuggestion();
+      this.write(this._renderer.leave());
+    } else if (this._activeCharPrompt != null) {
+      this.write("\r\n");
     }
     if (this._activePrompt != null) {
-      this._activePrompt.reject(reason);
-      this._activePrompt = null;
+      const { reject } = this._activePrompt;
+      const payload = this.eventPayload({ reason });
+      this.finishRead();
+      reject(reason);
+      this._events.emit("abort", payload);
     }
     if (this._activeCharPrompt != null) {
       this._activeCharPrompt.reject(reason);
       this._activeCharPrompt = null;
     }
+    this.cancelAutocomplete();
+    this._popup = null;
+    this._menuText = "";
+    this._search = null;
     this._active = false;
   }
 
+  /**
+   * Register a listener for one of the events of the input, returning a
+   * disposable that removes it
+   *
+   * The listeners of most events receive a payload with the `input` (as it
+   * is displayed, so masked for secret reads) and the `cursor` offset in
+   * it, along with the details of the event:
+   * - `change`: The input changed
+   * - `cursor`: The cursor moved
+   * - `submit`: The read completed with the input
+   * - `abort`: The read was aborted, for the given `reason`
+   * - `history`: The input was replaced with the history entry in the
+   *   given `direction` (-1 for the previous one, 1 for the next)
+   * - `completionShow`: The auto-complete `candidates` were displayed
+   * - `completionAccept`: The auto-complete candidate `value` was inserted
+   * - `resize`: The terminal was resized to `cols` and `rows`
+   * - `interrupt`: A signal key was pressed, see `onInterrupt`
+   *
+   * The listeners of the `beforeInput` (with the `text` the user typed or
+   * pasted) and `beforeSubmit` events can return `false` to veto the
+   * change, or a string to replace the text (or the input) with. These are
+   * not emitted for secret reads.
+   */
+  on(event, fn) {
+    return this._events.on(event, fn);
+  }
+
+  /**
+   * Remove a listener of the given event
+   */
+  off(event, fn) {
+    this._events.off(event, fn);
+  }
+
+  /**
+   * Register a listener for the signal keys pressed while no read is active
+   *
+   * The listener is called with `"SIGINT"` for Ctrl+C and `"SIGTSTP"` for
+   * Ctrl+Z, for example to cancel or suspend the command that runs between
+   * two reads. Returns a disposable that removes the listener.
+   */
+  onInterrupt(fn) {
+    return this.on("interrupt", fn);
+  }
+
+  /**
+   * Returns an `AbortSignal` that is aborted when the user presses Ctrl+C
+   * before the next read starts
+   *
+   * This is meant to be given to a command that runs after a read, such as
+   * a `fetch`, so that the user can cancel it.
+   */
+  createAbortSignal() {
+    const abort = new AbortController();
+    this._abortControllers.push(abort);
+    return abort.signal;
+  }
+
   /**
    * Prints a message and changes line
    */
@@ -181,7 +515,35 @@ export default class LocalEchoController {
    */
   print(message) {
     const normInput = message.replace(/[\r\n]+/g, "\n");
-    this.term.write(normInput.replace(/\n/g, "\r\n"));
+    this.write(normInput.replace(/\n/g, "\r\n"));
+  }
+
+  /**
+   * Write data to the terminal, or to the pending batch of writes
+   */
+  write(data) {
+    if (this._output != null) {
+      this._output += data;
+    } else if (data) {
+      this.term.write(data);
+    }
+  }
+
+  /**
+   * Call the given function, collecting everything it writes to the
+   * terminal in a single write
+   */
+  batchWrites(fn) {
+    if (this._output != null) return fn();
+
+    this._output = "";
+    try {
+      return fn();
+    } finally {
+      const output = this._output;
+      this._output = null;
+      this.write(output);
+    }
   }
 
   /**
@@ -192,8 +554,9 @@ export default class LocalEchoController {
 
     // Compute item sizes and matrix row/cols
     const itemWidth =
-      items.reduce((width, item) => Math.max(width, item.length), 0) + padding;
-    const wideCols = Math.floor(this._termSize.cols / itemWidth);
+      items.reduce((width, item) => Math.max(width, stringWidth(item)), 0) +
+      padding;
+    const wideCols = Math.max(1, Math.floor(this._termSize.cols / itemWidth));
     const wideRows = Math.ceil(items.length / wideCols);
 
     // Print matrix
@@ -205,7 +568,7 @@ export default class LocalEchoController {
       for (let col = 0; col < wideCols; ++col) {
         if (i < items.length) {
           let item = items[i++];
-          item += " ".repeat(itemWidth - item.length);
+          item += " ".repeat(itemWidth - stringWidth(item));
           rowStr += item;
         }
       }
@@ -221,11 +584,61 @@ export default class LocalEchoController {
    * Apply prompts to the given input
    */
   applyPrompts(input) {
-    const prompt = (this._activePrompt || {}).prompt || "";
+    const prompt = this._search
+      ? this.getSearchPrompt()
+      : (this.vi ? this.vi.getIndicator() : "") +
+        ((this._activePrompt || {}).prompt || "");
+
+    return prompt + this.applyContinuationPrompts(input);
+  }
+
+  /**
+   * Apply the continuation prompt on the new lines of the given input
+   *
+   * When the continuation prompt is a function, it is called with the
+   * nesting depth at the start of each line, taking into account the
+   * `preceding` input (when the given one is the rest of it).
+   */
+  applyContinuationPrompts(input, preceding = "") {
     const continuationPrompt =
       (this._activePrompt || {}).continuationPrompt || "";
+    if (typeof continuationPrompt !== "function") {
+      return input.replace(/\n/g, "\n" + continuationPrompt);
+    }
+
+    let text = preceding;
+    return input
+      .split("\n")
+      .map((line, i) => {
+        const prompt = i > 0 ? continuationPrompt(this.getDepth(text)) : "";
+        text += stripAnsi(line) + "\n";
+        return prompt + line;
+      })
+      .join("\n");
+  }
+
+  /**
+   * Returns the detector of incomplete input for the active read
+   */
+  getContinuation() {
+    return (this._activePrompt || {}).continuation || this.continuation;
+  }
+
+  /**
+   * Checks if the input is incomplete, and should continue on a new line
+   */
+  isIncomplete(input) {
+    const result = this.getContinuation()(input);
+    return typeof result === "number" ? result > 0 : !!result;
+  }
 
-    return prompt + input.replace(/\n/g, "\n" + continuationPrompt);
+  /**
+   * Returns the nesting depth of the input, as reported by the detector of
+   * incomplete input (0 if it does not report one)
+   */
+  getDepth(input) {
+    const result = this.getContinuation()(input);
+    return typeof result === "number" ? result : 0;
   }
 
   /**
@@ -238,69 +651,290 @@ export default class LocalEchoController {
   }
 
   /**
-   * Clears the current prompt
+   * Returns the input styled by the highlighter, or as-is if there is none
+   *
+   * The styling must not change the visible text, otherwise the cursor would
+   * be misplaced, so the plain input is returned in that case.
+   */
+  highlightInput(input) {
+    if (!this.highlighter || input === "" || this.isSecretRead()) {
+      return input;
+    }
+    try {
+      let styled = this.highlighter(input);
+      if (Array.isArray(styled)) styled = segmentsToAnsi(styled);
+      if (stripAnsi(styled) !== input) return input;
+      return isolateLineStyles(styled);
+    } catch (e) {
+      console.error("Highlighter error:", e);
+      return input;
+    }
+  }
+
+  /**
+   * Returns the text suggested to complete the given input, if the cursor
+   * is at its end
    *
-   * This function will erase all the lines that display the current prompt
-   * and move the cursor in the beginning of the first line of the prompt.
+   * The suggestion comes from the `autosuggest` function if one was given,
+   * or from the most recent matching history entry.
    */
-  clearInput() {
-    const currentPrompt = this.applyPrompts(this._input);
+  getSuggestion(input) {
+    if (!this.autosuggest || this._search || this._popup) return "";
+    if (this.isSecretRead()) return "";
+    if (input.trim() === "") return "";
+    if (this._cursor !== input.length) return "";
+
+    let suggestion;
+    try {
+      if (typeof this.autosuggest === "function") {
+        suggestion = this.autosuggest(input);
+      } else if (this.usesHistory()) {
+        suggestion = this.history.findLatestWithPrefix(input);
+      }
+    } catch (e) {
+      console.error("Auto-suggest error:", e);
+    }
 
-    // Get the overall number of lines to clear
-    const allRows = countLines(currentPrompt, this._termSize.cols);
+    if (!suggestion || !suggestion.startsWith(input)) return "";
+    return suggestion.substr(input.length);
+  }
 
-    // Get the line we are currently in
-    const promptCursor = this.applyPromptOffset(this._input, this._cursor);
-    const { col, row } = offsetToColRow(
-      currentPrompt,
-      promptCursor,
-      this._termSize.cols
-    );
+  /**
+   * Display a hint (such as the auto-complete indicator) after the input
+   */
+  setHint(hint) {
+    if (hint === this._hint) return;
+    this._hint = hint;
+    this.setInput(this._input);
+  }
 
-    // First move on the last line
-    const moveRows = allRows - row - 1;
-    for (var i = 0; i < moveRows; ++i) this.term.write("\x1B[E");
+  /**
+   * Display an error message (such as a validation error) under the input,
+   * until the next edit
+   */
+  setError(error) {
+    if (error === this._error) return;
+    this._error = error;
+    this.render();
+  }
 
-    // Clear current input line(s)
-    this.term.write("\r\x1B[K");
-    for (var i = 1; i < allRows; ++i) this.term.write("\x1B[F\x1B[K");
+  /**
+   * Remove the suggestion, the placeholder and the error message from the
+   * display, e.g. before leaving the line
+   */
+  hideSuggestion() {
+    if (!this._suggestion && !this._placeholder && !this._error) return;
+    this._error = "";
+    this.setInput(this._input, false);
   }
 
   /**
-   * Replace input with the new input given
+   * Accept the suggestion (or just its next word), inserting it in the input
+   *
+   * Returns false if there was no suggestion to accept.
+   */
+  acceptSuggestion(word = false) {
+    const { _input, _suggestion } = this;
+    if (!_suggestion || this._cursor !== _input.length) return false;
+
+    let text = _suggestion;
+    if (word) {
+      const end = closestRightBoundary(_input + _suggestion, _input.length);
+      text = _suggestion.substr(0, end - _input.length);
+    }
+    this.handleCursorInsert(text);
+    return true;
+  }
+
+  /**
+   * Returns the placeholder to display for the given input of the active
+   * read, if any
+   */
+  getPlaceholder(input) {
+    const { placeholder } = this._activePrompt || {};
+    return placeholder && input === "" && !this._search ? placeholder : "";
+  }
+
+  /**
+   * Returns the part of the given text that can be inserted in the input of
+   * the active read, without the characters that are not allowed and
+   * without exceeding its maximum length (given the length of the rest of
+   * the input)
+   *
+   * New lines are always allowed, as they are part of multi-line input.
+   */
+  limitInput(text, length = this._input.length) {
+    const { maxLength = Infinity, allowedChars = null } =
+      this._activePrompt || {};
+    if (allowedChars) {
+      const allowed =
+        typeof allowedChars === "function"
+          ? allowedChars
+          : chr => {
+              // Global and sticky expressions test from their last match
+              allowedChars.lastIndex = 0;
+              return allowedChars.test(chr);
+            };
+      text = Array.from(text)
+        .filter(chr => chr === "\n" || allowed(chr))
+        .join("");
+    }
+
+    // Never split a character (grapheme cluster)
+    const room = Math.max(0, maxLength - length);
+    if (text.length <= room) return text;
+    const end = graphemeBoundaries(text).filter(offset => offset <= room);
+    return text.substr(0, end[end.length - 1]);
+  }
+
+  /**
+   * Checks if the history is used by the active read
+   */
+  usesHistory() {
+    if (!this.history) return false;
+    return !this._activePrompt || this._activePrompt.history !== false;
+  }
+
+  /**
+   * Returns the input as it is displayed, along with the cursor offset in it
    *
-   * This function clears all the lines that the current input occupies and
-   * then replaces them with the new input.
+   * The input of secret reads is replaced with the mask, repeated for every
+   * character (grapheme cluster).
+   */
+  getDisplayedInput() {
+    const { _input, _cursor } = this;
+    if (!this.isSecretRead()) return { input: _input, cursor: _cursor };
+
+    const { mask } = this._activePrompt;
+    const count = end => graphemeBoundaries(_input.substr(0, end)).length - 1;
+    return {
+      input: mask.repeat(count(_input.length)),
+      cursor: mask.length * count(_cursor)
+    };
+  }
+
+  /**
+   * Returns the payload of an event, with the displayed input and the
+   * cursor offset in it
    */
-  setInput(newInput, clearInput = true) {
-    // Clear current input
-    if (clearInput) this.clearInput();
+  eventPayload(details = {}) {
+    return Object.assign(this.getDisplayedInput(), details);
+  }
 
-    // Write the new input lines, including the current prompt
-    const newPrompt = this.applyPrompts(newInput);
-    this.print(newPrompt);
+  /**
+   * Emit the `change` and `cursor` events, if the input or the cursor
+   * changed since they were last emitted
+   */
+  emitChanges() {
+    const payload = this.eventPayload();
+    const last = this._emitted;
+    this._emitted = payload;
+    if (payload.input !== last.input) {
+      this._events.emit("change", this.eventPayload());
+    }
+    if (payload.cursor !== last.cursor) {
+      this._events.emit("cursor", this.eventPayload());
+    }
+  }
+
+  /**
+   * Replace input with the new input given
+   *
+   * This function updates the suggestion and the completion menu for the
+   * new input and then renders it.
+   */
+  setInput(newInput, suggest = true) {
+    // Keep track of the state before the edit, for undo
+    if (newInput !== this._input && !this._undoing) {
+      this.undo.record(
+        { input: this._input, cursor: this._lastCursor },
+        this._editType
+      );
+    }
+    this._editType = null;
 
     // Trim cursor overflow
     if (this._cursor > newInput.length) {
       this._cursor = newInput.length;
     }
 
-    // Move the cursor to the appropriate row/col
-    const newCursor = this.applyPromptOffset(newInput, this._cursor);
-    const newLines = countLines(newPrompt, this._termSize.cols);
-    const { col, row } = offsetToColRow(
-      newPrompt,
-      newCursor,
-      this._termSize.cols
-    );
-    const moveUpRows = newLines - row - 1;
-
-    this.term.write("\r");
-    for (var i = 0; i < moveUpRows; ++i) this.term.write("\x1B[F");
-    for (var i = 0; i < col; ++i) this.term.write("\x1B[C");
+    // Update what is displayed along with the input
+    if (newInput !== this._input) this._error = "";
+    this.filterCompletionMenu(newInput);
+    this._suggestion = suggest ? this.getSuggestion(newInput) : "";
+    this._placeholder = suggest ? this.getPlaceholder(newInput) : "";
+    this._menuText = this.renderCompletionMenu(newInput);
 
     // Replace input
     this._input = newInput;
+    this._lastCursor = this._cursor;
+    this.render();
+  }
+
+  /**
+   * Update the screen to display the prompt and the input, followed by the
+   * suggestion and the hint and then the completion menu under them, with
+   * the cursor at its place in the input
+   *
+   * Only the parts of the screen that changed since the last render are
+   * written.
+   */
+  render() {
+    const { cols } = this._termSize;
+    const { input, cursor: offset } = this.getDisplayedInput();
+    const trailer = this._suggestion + this._placeholder + this._hint;
+    const styledTrailer = trailer
+      ? this.applyContinuationPrompts(
+          isolateLineStyles(this.suggestionStyle + trailer + "\x1b[0m"),
+          input
+        )
+      : "";
+    const styledError = this._error
+      ? "\n" + isolateLineStyles(this.errorStyle + this._error + "\x1b[0m")
+      : "";
+    const text =
+      this.applyPrompts(this.highlightInput(input)) +
+      styledTrailer +
+      styledError +
+      this._menuText;
+
+    const cursor = offsetToColRow(
+      this.applyPrompts(input),
+      this.applyPromptOffset(input, offset),
+      cols
+    );
+    this.write(this._renderer.render(text, cursor, cols));
+    this.emitChanges();
+  }
+
+  /**
+   * Replace the input with the new input given and place the cursor at the
+   * given offset
+   */
+  replaceInput(newInput, cursor = newInput.length) {
+    this._cursor = Math.max(0, Math.min(cursor, newInput.length));
+    this.setInput(newInput);
+  }
+
+  /**
+   * Replace the whole input like `replaceInput`, as far as the limits of the
+   * active read allow
+   */
+  replaceLimitedInput(newInput, cursor = newInput.length) {
+    const before = this.limitInput(newInput.substr(0, cursor), 0);
+    const after = this.limitInput(newInput.substr(cursor), before.length);
+    this.replaceInput(before + after, before.length);
+  }
+
+  /**
+   * Replace the input from the given offset up to the cursor with the given
+   * text, as far as the limits of the active read allow
+   */
+  replaceBeforeCursor(start, text) {
+    const { _cursor, _input } = this;
+    text = this.limitInput(text, _input.length - (_cursor - start));
+    const newInput = _input.substr(0, start) + text + _input.substr(_cursor);
+    this.replaceInput(newInput, start + text.length);
   }
 
   /**
@@ -311,8 +945,9 @@ export default class LocalEchoController {
     const cursor = this._cursor;
 
     // Complete input
-    this.setCursor(this._input.length);
-    this.term.write("\r\n");
+    this.closeCompletionMenu();
+    this.hideSuggestion();
+    this.write(this._renderer.leave());
 
     // Prepare a function that will resume prompt
     const resume = () => {
@@ -332,78 +967,42 @@ export default class LocalEchoController {
 
   /**
    * Set the new cursor position, as an offset on the input string
-   *
-   * This function:
-   * - Calculates the previous and current
    */
   setCursor(newCursor) {
     if (newCursor < 0) newCursor = 0;
     if (newCursor > this._input.length) newCursor = this._input.length;
 
-    // Apply prompt formatting to get the visual status of the display
-    const inputWithPrompt = this.applyPrompts(this._input);
-    const inputLines = countLines(inputWithPrompt, this._termSize.cols);
-
-    // Estimate previous cursor position
-    const prevPromptOffset = this.applyPromptOffset(this._input, this._cursor);
-    const { col: prevCol, row: prevRow } = offsetToColRow(
-      inputWithPrompt,
-      prevPromptOffset,
-      this._termSize.cols
-    );
-
-    // Estimate next cursor position
-    const newPromptOffset = this.applyPromptOffset(this._input, newCursor);
-    const { col: newCol, row: newRow } = offsetToColRow(
-      inputWithPrompt,
-      newPromptOffset,
-      this._termSize.cols
-    );
-
-    // Adjust vertically
-    if (newRow > prevRow) {
-      for (let i = prevRow; i < newRow; ++i) this.term.write("\x1B[B");
-    } else {
-      for (let i = newRow; i < prevRow; ++i) this.term.write("\x1B[A");
-    }
-
-    // Adjust horizontally
-    if (newCol > prevCol) {
-      for (let i = prevCol; i < newCol; ++i) this.term.write("\x1B[C");
-    } else {
-      for (let i = newCol; i < prevCol; ++i) this.term.write("\x1B[D");
-    }
-
     // Set new offset
     this._cursor = newCursor;
+    this._lastCursor = newCursor;
+    this.render();
   }
 
   /**
-   * Move cursor at given direction
+   * Move cursor at given direction, by the given number of characters
+   * (grapheme clusters)
    */
   handleCursorMove(dir) {
-    if (dir > 0) {
-      const num = Math.min(dir, this._input.length - this._cursor);
-      this.setCursor(this._cursor + num);
-    } else if (dir < 0) {
-      const num = Math.max(dir, -this._cursor);
-      this.setCursor(this._cursor + num);
-    }
+    let offset = this._cursor;
+    for (; dir > 0; --dir) offset = nextGraphemeOffset(this._input, offset);
+    for (; dir < 0; ++dir) offset = prevGraphemeOffset(this._input, offset);
+    this.setCursor(offset);
   }
 
   /**
-   * Erase a character at cursor location
+   * Erase a character (grapheme cluster) at cursor location
    */
   handleCursorErase(backspace) {
     const { _cursor, _input } = this;
     if (backspace) {
       if (_cursor <= 0) return;
-      const newInput = _input.substr(0, _cursor - 1) + _input.substr(_cursor);
-      this.clearInput();
-      this._cursor -= 1;
-      this.setInput(newInput, false);
+      const start = prevGraphemeOffset(_input, _cursor);
+      const newInput = _input.substr(0, start) + _input.substr(_cursor);
+      this._cursor = start;
+      this.setInput(newInput);
     } else {
-      const newInput = _input.substr(0, _cursor) + _input.substr(_cursor + 1);
+      const end = nextGraphemeOffset(_input, _cursor);
+      const newInput = _input.substr(0, _cursor) + _input.substr(end);
       this.setInput(newInput);
     }
   }
@@ -412,25 +1011,810 @@ export default class LocalEchoController {
    * Insert character at cursor location
    */
   handleCursorInsert(data) {
+    data = this.limitInput(data);
+    if (data === "") return;
     const { _cursor, _input } = this;
     const newInput = _input.substr(0, _cursor) + data + _input.substr(_cursor);
     this._cursor += data.length;
+    if (data.length === 1) this._editType = "insert";
     this.setInput(newInput);
   }
 
+  /**
+   * Insert text the user typed (or pasted) at the cursor location, unless
+   * a `beforeInput` listener vetoes or replaces it
+   */
+  handleTypedInsert(text) {
+    if (!this.isSecretRead()) {
+      text = this._events.intercept(
+        "beforeInput",
+        "text",
+        this.eventPayload({ text })
+      );
+      if (text === false) return;
+    }
+    this.handleCursorInsert(String(text));
+  }
+
+  /**
+   * Undo the last edit on the input
+   */
+  handleUndo() {
+    const state = this.undo.undo({ input: this._input, cursor: this._cursor });
+    if (state) this.restoreUndoState(state);
+  }
+
+  /**
+   * Re-apply the last edit that was undone
+   */
+  handleRedo() {
+    const state = this.undo.redo({ input: this._input, cursor: this._cursor });
+    if (state) this.restoreUndoState(state);
+  }
+
+  /**
+   * Restore a state of the input, without recording it as a new edit
+   */
+  restoreUndoState(state) {
+    this._undoing = true;
+    this.replaceInput(state.input, state.cursor);
+    this._undoing = false;
+  }
+
+  /**
+   * Replace the input with the previous (or next) history entry
+   */
+  handleHistoryMove(dir) {
+    if (!this.usesHistory()) return;
+    let value = dir < 0 ? this.history.getPrevious() : this.history.getNext();
+    if (dir < 0 && !value) return;
+    value = this.limitInput(value || "", 0);
+    this.setInput(value);
+    this.setCursor(value.length);
+    this._events.emit("history", this.eventPayload({ direction: dir }));
+  }
+
+  /**
+   * Complete the read operation, or insert a new line if the input is
+   * incomplete
+   */
+  handleAcceptLine() {
+    if (!this.isSecretRead() && this.isIncomplete(this._input)) {
+      this.handleCursorInsert("\n");
+    } else {
+      this.handleReadComplete();
+    }
+  }
+
+  /**
+   * Discard the current input and start over with a fresh prompt
+   */
+  handleInterrupt() {
+    this.hideSuggestion();
+    this.write(this._renderer.leave("^C"));
+
+    // Secret reads are aborted instead
+    if (this.isSecretRead()) {
+      const { reject } = this._activePrompt;
+      const payload = this.eventPayload({ reason: "interrupted" });
+      this.finishRead();
+      this.cancelAutocomplete();
+      this._active = false;
+      reject("interrupted");
+      this._events.emit("abort", payload);
+      return;
+    }
+
+    if (this.vi) this.vi.reset();
+    this._input = "";
+    this._cursor = 0;
+    this._suggestion = "";
+    this._placeholder = this.getPlaceholder("");
+    this._lastCursor = 0;
+    this.undo.reset();
+    if (this.history) this.history.rewind();
+    this.render();
+  }
+
+  /**
+   * Clear the screen and re-display the input on the top line
+   */
+  handleClearScreen() {
+    this.write("\x1b[H\x1b[2J");
+    this._renderer.reset();
+    this.render();
+  }
+
+  /**
+   * Complete the token under the cursor using the auto-complete handlers
+   *
+   * The handlers may resolve their candidates asynchronously, in which case
+   * an indicator is displayed until they do. Any key pressed in the meantime
+   * cancels the request.
+   *
+   * When there are multiple candidates, completing again replaces the token
+   * with each of them in turn (backwards if `direction` is negative).
+   */
+  handleAutocomplete(direction = 1) {
+    if (this.isSecretRead()) return;
+    const menu = this._menu;
+    this._lastCommand = "complete";
+    this._menu = null;
+
+    // Repeated completions cycle through the candidates of the last one
+    if (menu && this._previousCommand === "complete") {
+      this._menu = menu;
+      this.cycleAutocompleteMenu(direction);
+      return;
+    }
+
+    if (this._autocompleteHandlers.length === 0) {
+      if (direction > 0) this.handleCursorInsert("    ");
+      return;
+    }
+
+    this.cancelAutocomplete();
+    const inputFragment = this._input.substr(0, this._cursor);
+    const abort = new AbortController();
+    const completion = { abort, timer: null };
+    this._completion = completion;
+
+    // Only display the indicator if the handlers take a while, so it does
+    // not flicker for the ones that complete immediately
+    if (this.autocompleteIndicator) {
+      completion.timer = setTimeout(() => {
+        this.setHint(" " + this.autocompleteIndicator);
+      }, AUTOCOMPLETE_INDICATOR_DELAY);
+    }
+
+    collectAutocompleteCandidatesAsync(
+      this._autocompleteHandlers,
+      inputFragment,
+      { signal: abort.signal, timeout: this.autocompleteTimeout }
+    )
+      .then(candidates => {
+        if (this._completion !== completion) return;
+        this.batchWrites(() => {
+          this.cancelAutocomplete();
+          this.applyAutocompleteCandidates(inputFragment, candidates);
+        });
+      })
+      .catch(e => {
+        console.error("Auto-complete error:", e);
+        if (this._completion === completion) this.cancelAutocomplete();
+      });
+  }
+
+  /**
+   * Cancel the pending auto-complete request, if any
+   */
+  cancelAutocomplete() {
+    const completion = this._completion;
+    if (!completion) return;
+
+    this._completion = null;
+    clearTimeout(completion.timer);
+    completion.abort.abort();
+    this.setHint("");
+  }
+
+  /**
+   * Complete the input using the candidates of the auto-complete handlers
+   */
+  applyAutocompleteCandidates(inputFragment, candidates) {
+    const hasTailingSpace = hasTailingWhitespace(inputFragment);
+    const token = getLastTokenRange(inputFragment);
+    const quote = getTokenQuote(token.text);
+
+    // Sort candidates
+    candidates = sortCandidates(candidates.map(normalizeCandidate));
+
+    // Depending on the number of candidates, we are handing them in
+    // a different way.
+    if (candidates.length === 0) {
+      // No candidates? Just add a space if there is none already
+      if (!hasTailingSpace) {
+        this.handleCursorInsert(" ");
+      }
+    } else if (candidates.length === 1) {
+      // Just a single candidate? Complete
+      const { value, suffix } = candidates[0];
+      const text = quoteShellWord(value, quote) + suffix;
+      this.replaceBeforeCursor(token.start, text);
+      this._events.emit("completionAccept", this.eventPayload({ value }));
+    } else if (
+      this.completionMenu ||
+      candidates.length <= this.maxAutocompleteEntries
+    ) {
+      // search for a shared fragement
+      const sameFragment = getSharedFragment(
+        token.value,
+        candidates.map(candidate => candidate.value)
+      );
+
+      // if there's a shared fragement between the candidates
+      // print complete the shared fragment (keeping its quote open)
+      if (sameFragment && sameFragment !== token.value) {
+        this.replaceBeforeCursor(
+          token.start,
+          quoteShellWord(sameFragment, quote, false)
+        );
+      }
+
+      // Either open the menu to pick a candidate from, or let the user
+      // cycle through them by pressing tab again
+      const start = token.start;
+      if (this.completionMenu) {
+        this.openCompletionMenu(candidates, start, quote);
+        return;
+      }
+      this._menu = { candidates, index: -1, start, end: this._cursor, quote };
+
+      // If we are less than maximum auto-complete candidates, print
+      // them to the user and re-start prompt
+      this.printAndRestartPrompt(() => {
+        this.printCandidates(candidates);
+      });
+    } else {
+      // If we have more than maximum auto-complete candidates, print
+      // them only if the user acknowledges a warning
+      this.printAndRestartPrompt(() =>
+        this.readChar(
+          `Display all ${candidates.length} possibilities? (y or n)`
+        ).then(yn => {
+          if (yn == "y" || yn == "Y") {
+            this.printCandidates(candidates);
+          }
+        })
+      );
+    }
+  }
+
+  /**
+   * Replace the completed token with the next (or previous) candidate of
+   * the last completion
+   */
+  cycleAutocompleteMenu(direction) {
+    const menu = this._menu;
+    const count = menu.candidates.length;
+    menu.index =
+      menu.index === -1 && direction < 0
+        ? count - 1
+        : (menu.index + direction + count) % count;
+
+    const { value, suffix } = menu.candidates[menu.index];
+    const text = quoteShellWord(value, menu.quote) + suffix;
+    const { _input } = this;
+    const newInput =
+      _input.substr(0, menu.start) + text + _input.substr(menu.end);
+    menu.end = menu.start + text.length;
+    this.replaceInput(newInput, menu.end);
+    this._events.emit("completionAccept", this.eventPayload({ value }));
+  }
+
+  /**
+   * Open the completion menu under the input, for picking one of the
+   * candidates that replace the input from the `start` offset (in the
+   * given quotes)
+   */
+  openCompletionMenu(candidates, start, quote = "") {
+    this._popup = {
+      candidates,
+      filtered: candidates,
+      index: 0,
+      scroll: 0,
+      start,
+      quote
+    };
+    this.setInput(this._input);
+    this._events.emit("completionShow", this.eventPayload({ candidates }));
+  }
+
+  /**
+   * Close the completion menu, cleaning the lines it used
+   */
+  closeCompletionMenu() {
+    if (!this._popup) return;
+    this._popup = null;
+    this.setInput(this._input);
+  }
+
+  /**
+   * Keep only the candidates of the completion menu that match the text
+   * typed since it opened, closing it if there are none
+   */
+  filterCompletionMenu(input) {
+    const popup = this._popup;
+    if (!popup) return;
+
+    const typed =
+      this._cursor >= popup.start
+        ? parseShellWord(input.substring(popup.start, this._cursor))
+        : null;
+    const filtered =
+      typed == null
+        ? []
+        : popup.candidates.filter(candidate =>
+            candidate.value.startsWith(typed)
+          );
+    if (filtered.length === 0) {
+      this._popup = null;
+      return;
+    }
+
+    // Keep the selected candidate, if it still matches
+    popup.index = Math.max(0, filtered.indexOf(popup.filtered[popup.index]));
+    popup.filtered = filtered;
+  }
+
+  /**
+   * Move the selection of the completion menu, wrapping around its ends
+   * unless `clamp` is set
+   */
+  moveCompletionMenu(delta, clamp = false) {
+    const popup = this._popup;
+    const count = popup.filtered.length;
+    popup.index = clamp
+      ? Math.max(0, Math.min(count - 1, popup.index + delta))
+      : (popup.index + delta + count) % count;
+    this.setInput(this._input);
+  }
+
+  /**
+   * Replace the text typed since the completion menu opened with the
+   * selected candidate
+   */
+  acceptCompletionMenu() {
+    const { filtered, index, start, quote } = this._popup;
+    const { value, suffix } = filtered[index];
+
+    this._popup = null;
+    this.replaceBeforeCursor(start, quoteShellWord(value, quote) + suffix);
+    this._events.emit("completionAccept", this.eventPayload({ value }));
+  }
+
+  /**
+   * Returns the lines of the completion menu, each preceded by a new line,
+   * scrolled so that the selected candidate is visible
+   */
+  renderCompletionMenu(input) {
+    const popup = this._popup;
+    if (!popup) return "";
+
+    const { cols, rows } = this._termSize;
+    const { filtered, index } = popup;
+    const inputRows = countLines(this.applyPrompts(input), cols);
+    const visible = Math.min(
+      filtered.length,
+      this.completionMenuRows,
+      Math.max(1, rows - inputRows)
+    );
+
+    // Scroll to the selected candidate
+    if (index < popup.scroll) popup.scroll = index;
+    if (index >= popup.scroll + visible) popup.scroll = index - visible + 1;
+    popup.scroll = Math.min(popup.scroll, filtered.length - visible);
+
+    const width = filtered.reduce(
+      (max, candidate) => Math.max(max, stringWidth(candidate.display)),
+      0
+    );
+    return filtered
+      .slice(popup.scroll, popup.scroll + visible)
+      .map((candidate, i) => {
+        const { display, description } = candidate;
+        const padding = " ".repeat(width - stringWidth(display));
+        const line = truncateToWidth(
+          description ? `${display}${padding}   ${description}` : display,
+          cols - 1
+        );
+        return popup.scroll + i === index
+          ? `\n\x1b[7m${line}\x1b[0m`
+          : `\n${line}`;
+      })
+      .join("");
+  }
+
+  /**
+   * Handle a key while the completion menu is open
+   *
+   * Returns true if the key was consumed. Printable characters and
+   * backspace edit the input as usual, filtering the menu, while any other
+   * key closes it.
+   */
+  handleCompletionMenuData(data) {
+    const ord = data.charCodeAt(0);
+
+    switch (data) {
+      case "\x1b[A": // UP
+      case "\x1b[Z": // SHIFT+TAB
+        this.moveCompletionMenu(-1);
+        return true;
+
+      case "\x1b[B": // DOWN
+      case "\t": // TAB
+        this.moveCompletionMenu(1);
+        return true;
+
+      case "\x1b[5~": // PAGE UP
+        this.moveCompletionMenu(-this.completionMenuRows, true);
+        return true;
+
+      case "\x1b[6~": // PAGE DOWN
+        this.moveCompletionMenu(this.completionMenuRows, true);
+        return true;
+
+      case "\r": // ENTER
+        this.acceptCompletionMenu();
+        return true;
+
+      case "\x1b": // ESC
+        this.closeCompletionMenu();
+        return true;
+
+      case "\x7f": // BACKSPACE
+      case "\b":
+        return false;
+    }
+
+    if (ord < 32 || ord === 0x7f) this.closeCompletionMenu();
+    return false;
+  }
+
+  /**
+   * Print the auto-complete candidates, in columns if they are plain words,
+   * or one per line with their descriptions under their group titles
+   */
+  printCandidates(candidates) {
+    this._events.emit("completionShow", this.eventPayload({ candidates }));
+    const detailed = candidates.some(
+      candidate => candidate.description || candidate.group
+    );
+    if (!detailed) {
+      this.printWide(candidates.map(candidate => candidate.display));
+      return;
+    }
+
+    const width = candidates.reduce(
+      (max, candidate) => Math.max(max, stringWidth(candidate.display)),
+      0
+    );
+    let group = "";
+    candidates.forEach(candidate => {
+      if (candidate.group !== group) {
+        group = candidate.group;
+        this.println(`\x1b[1m${group}\x1b[0m`);
+      }
+
+      const { display, description } = candidate;
+      const padding = " ".repeat(width - stringWidth(display));
+      this.println(
+        description ? `${display}${padding}   ${description}` : display
+      );
+    });
+  }
+
+  /**
+   * Kill the text between the two offsets, storing it in the kill ring
+   *
+   * Consecutive kills accumulate in the same kill ring entry, prepending
+   * the text when killing backwards.
+   */
+  handleKill(start, end) {
+    const { _cursor, _input } = this;
+    this._lastCommand = "kill";
+    if (start >= end) return;
+
+    // Secrets are not kept around in the kill ring
+    if (!this.isSecretRead()) {
+      this.killRing.push(
+        _input.substring(start, end),
+        this._previousCommand === "kill",
+        end <= _cursor
+      );
+    }
+
+    const newInput = _input.substr(0, start) + _input.substr(end);
+    this._cursor = start;
+    this.setInput(newInput);
+  }
+
+  /**
+   * Insert the most recently killed text at cursor location
+   */
+  handleYank() {
+    const text = this.killRing.yank();
+    if (text == null) return;
+
+    const start = this._cursor;
+    this.handleCursorInsert(text);
+    this._yank = { start, end: this._cursor };
+    this._lastCommand = "yank";
+  }
+
+  /**
+   * Replace the text that was just yanked with the previous kill ring entry
+   */
+  handleYankPop() {
+    if (this._previousCommand !== "yank") return;
+    const { start, end } = this._yank;
+    const { _input } = this;
+    const text = this.limitInput(
+      this.killRing.rotate(),
+      _input.length - (end - start)
+    );
+
+    const newInput = _input.substr(0, start) + text + _input.substr(end);
+    this._cursor = start + text.length;
+    this.setInput(newInput);
+    this._yank = { start, end: this._cursor };
+    this._lastCommand = "yank";
+  }
+
+  /**
+   * Swap the character before the cursor with the one under it, or the two
+   * last characters when at the end of the input
+   */
+  handleTranspose() {
+    const { _cursor, _input } = this;
+    const pos =
+      _cursor < _input.length ? _cursor : prevGraphemeOffset(_input, _cursor);
+    if (pos === 0) return;
+
+    const start = prevGraphemeOffset(_input, pos);
+    const end = nextGraphemeOffset(_input, pos);
+    const newInput =
+      _input.substr(0, start) +
+      _input.substring(pos, end) +
+      _input.substring(start, pos) +
+      _input.substr(end);
+    this._cursor = end;
+    this.setInput(newInput);
+  }
+
+  /**
+   * Change the case of the text from the cursor to the end of the word,
+   * where `mode` is one of "upper", "lower" or "capitalize"
+   */
+  handleWordCase(mode) {
+    const { _cursor, _input } = this;
+    const end = closestRightBoundary(_input, _cursor);
+    let word = _input.substring(_cursor, end);
+
+    switch (mode) {
+      case "upper":
+        word = word.toUpperCase();
+        break;
+      case "lower":
+        word = word.toLowerCase();
+        break;
+      case "capitalize":
+        word = word.toLowerCase().replace(/\w/, c => c.toUpperCase());
+        break;
+    }
+
+    const newInput = _input.substr(0, _cursor) + word + _input.substr(end);
+    this._cursor = end;
+    this.setInput(newInput);
+  }
+
+  /**
+   * Returns the prompt to display while searching in history
+   */
+  getSearchPrompt() {
+    const { query, backwards, failed } = this._search;
+    const mode = backwards ? "reverse-i-search" : "i-search";
+    return `(${failed ? "failed " : ""}${mode})\`${query}': `;
+  }
+
+  /**
+   * Enter the incremental history search mode
+   *
+   * While searching, the prompt is replaced with the search query and the
+   * input shows the matching history entry. The original input is kept
+   * in order to be restored if the search is cancelled.
+   */
+  startHistorySearch(backwards = true) {
+    if (!this.usesHistory()) return;
+    this._search = {
+      query: "",
+      backwards,
+      failed: false,
+      index: this.history.entries.length,
+      input: this._input,
+      cursor: this._cursor
+    };
+    this.setInput(this._input);
+  }
+
+  /**
+   * Look-up the history for the current search query, starting from the
+   * given index and optionally skipping entries identical to the current
+   * match.
+   */
+  updateHistorySearch(from, skipCurrent = false) {
+    const search = this._search;
+    const index = search.query
+      ? this.history.search(
+          search.query,
+          from,
+          search.backwards,
+          skipCurrent ? search.index : -1
+        )
+      : -1;
+
+    if (index === -1) {
+      search.failed = search.query !== "";
+    } else {
+      const entry = this.history.entries[index];
+      search.failed = false;
+      search.index = index;
+      this._input = entry;
+      this._cursor = search.backwards
+        ? entry.lastIndexOf(search.query)
+        : entry.indexOf(search.query);
+    }
+    this.setInput(this._input);
+  }
+
+  /**
+   * Leave the search mode, keeping the matched entry as the current input
+   */
+  acceptHistorySearch() {
+    const { index } = this._search;
+    this._search = null;
+    if (index < this.history.entries.length) {
+      this.history.cursor = index;
+    }
+    this.setInput(this._input);
+  }
+
+  /**
+   * Leave the search mode, restoring the input that was active before
+   */
+  cancelHistorySearch() {
+    const { input, cursor } = this._search;
+    this._search = null;
+    this._cursor = cursor;
+    this.setInput(input);
+  }
+
   /**
    * Handle input completion
+   *
+   * If the read has a `validate` function, the input is first checked with
+   * it, displaying the error message instead when it is not valid. The
+   * result of an asynchronous validation is ignored if the input was edited
+   * in the meantime.
    */
   handleReadComplete() {
-    if (this.history) {
-      this.history.push(this._input);
+    const prompt = this._activePrompt;
+    if (prompt && !this.isSecretRead()) {
+      const input = this._events.intercept(
+        "beforeSubmit",
+        "input",
+        this.eventPayload()
+      );
+      if (input === false) return;
+      if (input !== this._input) this.replaceLimitedInput(String(input));
     }
-    if (this._activePrompt) {
-      this._activePrompt.resolve(this._input);
-      this._activePrompt = null;
+    if (!prompt || !prompt.validate) return this.resolveRead();
+
+    const input = this._input;
+    const check = result => {
+      if (this._activePrompt !== prompt || this._input !== input) return;
+      const error = getValidationError(result);
+      this.batchWrites(() => {
+        if (error == null) this.resolveRead();
+        else this.setError(error);
+      });
+    };
+
+    let result;
+    try {
+      result = prompt.validate(input);
+    } catch (e) {
+      result = e;
     }
-    this.term.write("\r\n");
+    if (result && typeof result.then === "function") {
+      result.then(check, check);
+    } else {
+      check(result);
+    }
+  }
+
+  /**
+   * Resolve the active read operation with the current input
+   */
+  resolveRead() {
+    const input = this._input;
+    const prompt = this._activePrompt;
+    const payload = this.eventPayload();
+    this.hideSuggestion();
+    if (this.usesHistory()) {
+      this.history.push(input);
+    }
+    this.write(this._renderer.leave());
+    if (prompt) this.finishRead();
+    this._search = null;
     this._active = false;
+    if (prompt) prompt.resolve(input);
+    this._events.emit("submit", payload);
+  }
+
+  /**
+   * Clean up after the active read operation, once its input has left the
+   * screen
+   *
+   * The input of secret reads is wiped, along with the undo history that
+   * holds its previous states.
+   */
+  finishRead() {
+    if (this.bracketedPaste) this.write("\x1b[?2004l");
+    if (this.isSecretRead()) {
+      this._input = "";
+      this._cursor = 0;
+      this._lastCursor = 0;
+      this.undo.reset();
+    }
+    this._activePrompt = null;
+  }
+
+  /**
+   * Checks if the active read operation is for a secret, such as a password
+   */
+  isSecretRead() {
+    return !!(this._activePrompt && this._activePrompt.secret);
+  }
+
+  /**
+   * Perform the given action, either the name of an editing action or a
+   * custom handler function
+   */
+  runAction(action, key = "", event = null) {
+    if (typeof action !== "function") {
+      ACTIONS[action](this, key);
+      return;
+    }
+    try {
+      action(this.createActionContext(key, event));
+    } catch (e) {
+      console.error("Key handler error:", e);
+    }
+  }
+
+  /**
+   * Create the context passed to the custom key handlers, through which
+   * they can inspect and edit the input
+   */
+  createActionContext(key, event = null) {
+    const controller = this;
+    return {
+      controller,
+      key,
+      event,
+      get input() {
+        return controller._input;
+      },
+      get cursor() {
+        return controller._cursor;
+      },
+      setInput(input, cursor = input.length) {
+        controller.replaceLimitedInput(input, cursor);
+      },
+      setCursor(cursor) {
+        controller.setCursor(cursor);
+      },
+      insert(text) {
+        controller.handleCursorInsert(text);
+      },
+      runAction(name) {
+        controller.runAction(name, key, event);
+      },
+      printAbove(message) {
+        controller.printAndRestartPrompt(() => controller.println(message));
+      }
+    };
   }
 
   /**
@@ -442,194 +1826,220 @@ export default class LocalEchoController {
    */
   handleTermResize(data) {
     const { rows, cols } = data;
-    this.clearInput();
-    this._termSize = { cols, rows };
-    this.setInput(this._input, false);
+    this.batchWrites(() => {
+      if (this._active) this.write(this._renderer.clear());
+      this._termSize = { cols, rows };
+      if (this._active) this.setInput(this._input);
+    });
+    this._events.emit("resize", this.eventPayload({ cols, rows }));
   }
 
   /**
    * Handle terminal input
    */
   handleTermData(data) {
-    if (!this._active) return;
+    if (!this._active) {
+      for (const chr of data) {
+        if (SIGNAL_KEYS.hasOwnProperty(chr)) this.handleSignalKey(chr);
+      }
+      return;
+    }
 
     // If we have an active character prompt, satisfy it in priority
     if (this._activeCharPrompt != null) {
       this._activeCharPrompt.resolve(data);
       this._activeCharPrompt = null;
-      this.term.write("\r\n");
+      this.write("\r\n");
       return;
     }
 
-    // If this looks like a pasted input, expand it
-    if (data.length > 3 && data.charCodeAt(0) !== 0x1b) {
-      const normData = data.replace(/[\r\n]+/g, "\r");
-      Array.from(normData).forEach(c => this.handleData(c));
+    // Split the data into keys, waiting a bit for the rest of any
+    // incomplete escape sequence
+    clearTimeout(this._escapeTimer);
+    this.batchWrites(() => {
+      this._decoder.feed(data).forEach(key => this.handleKey(key));
+    });
+    if (this._decoder.pending) {
+      this._escapeTimer = setTimeout(() => {
+        this.batchWrites(() => {
+          this._decoder.flush().forEach(key => this.handleKey(key));
+        });
+      }, ESCAPE_TIMEOUT);
+    }
+  }
+
+  /**
+   * Deliver the signal of the given key, pressed while no read is active
+   *
+   * The key is echoed (as a terminal in canonical mode would), unless
+   * nothing listens for its signal.
+   */
+  handleSignalKey(key) {
+    const { signal, echo } = SIGNAL_KEYS[key];
+    const aborts = signal === "SIGINT" ? this._abortControllers : [];
+    if (this._events.count("interrupt") === 0 && aborts.length === 0) return;
+
+    this.write(echo + "\r\n");
+    if (signal === "SIGINT") this._abortControllers = [];
+    aborts.forEach(abort => abort.abort());
+    this._events.emit("interrupt", signal);
+  }
+
+  /**
+   * Handle a key event decoded from the terminal input
+   */
+  handleKey(key) {
+    if (key.name === "Paste") {
+      this.handlePaste(key.text);
     } else {
-      this.handleData(data);
+      this.handleData(key.sequence, key);
     }
   }
 
   /**
-   * Handle a single piece of information from the terminal.
+   * Insert pasted text in the input as a single edit
+   *
+   * Line breaks are kept, turning the input into a multi-line one, while
+   * tabs are expanded and any other control characters are removed. The
+   * `onPaste` hook can return (or resolve to) a replacement text, or `null`
+   * or `false` to cancel the paste.
    */
-  handleData(data) {
+  handlePaste(text) {
     if (!this._active) return;
+    text = stripAnsi(text)
+      .replace(/\r\n?/g, "\n")
+      .replace(/\t/g, "    ")
+      .replace(/[\x00-\x09\x0b-\x1f\x7f]/g, "");
+    if (this.isSecretRead()) text = text.replace(/\n/g, "");
+
+    const prompt = this._activePrompt;
+    const insert = value => {
+      if (value === undefined) value = text;
+      if (!value || this._activePrompt !== prompt) return;
+      if (this._search) this.acceptHistorySearch();
+      this.cancelAutocomplete();
+      this.undo.breakGroup();
+      this.handleTypedInsert(value);
+    };
+
+    if (!this.onPaste) return insert(text);
+    let result;
+    try {
+      result = this.onPaste(text);
+    } catch (e) {
+      console.error("Paste handler error:", e);
+      return;
+    }
+    if (result && typeof result.then === "function") {
+      result.then(insert, e => console.error("Paste handler error:", e));
+    } else {
+      insert(result);
+    }
+  }
+
+  /**
+   * Handle a single key from the terminal, given as its (canonical)
+   * sequence and optionally its key event.
+   *
+   * The key is resolved through the keymap into an action, while visible
+   * characters that are not bound are inserted in the input.
+   */
+  handleData(data, event = null) {
+    if (!this._active) return;
+    this.cancelAutocomplete();
+    if (this._search) return this.handleSearchData(data);
+    if (this._popup && this.handleCompletionMenuData(data)) return;
+
+    // In vi mode, Escape quickly followed by a printable key arrives as Alt
+    // and that key, which is split back into the two keys (the default Alt
+    // bindings are emacs ones) unless it was bound with `bindKey`
+    if (
+      this.vi &&
+      !this.isSecretRead() &&
+      data.length === 2 &&
+      data[0] === "\x1b" &&
+      data[1] >= " " &&
+      data[1] !== "\x7f" &&
+      this.keymap.pending == null &&
+      !this._customKeys.hasOwnProperty(data)
+    ) {
+      this.handleData("\x1b");
+      this.handleData(data[1]);
+      return;
+    }
+
+    if (this.vi && !this.isSecretRead() && this.vi.handleKey(data)) {
+      this.undo.breakGroup();
+      return;
+    }
     const ord = data.charCodeAt(0);
-    let ofs;
-
-    // Handle ANSI escape sequences
-    if (ord == 0x1b) {
-      switch (data.substr(1)) {
-        case "[A": // Up arrow
-          if (this.history) {
-            let value = this.history.getPrevious();
-            if (value) {
-              this.setInput(value);
-              this.setCursor(value.length);
-            }
-          }
-          break;
-
-        case "[B": // Down arrow
-          if (this.history) {
-            let value = this.history.getNext();
-            if (!value) value = "";
-            this.setInput(value);
-            this.setCursor(value.length);
-          }
-          break;
-
-        case "[D": // Left Arrow
-          this.handleCursorMove(-1);
-          break;
-
-        case "[C": // Right Arrow
-          this.handleCursorMove(1);
-          break;
-
-        case "[3~": // Delete
-          this.handleCursorErase(false);
-          break;
-
-        case "[F": // End
-          this.setCursor(this._input.length);
-          break;
-
-        case "[H": // Home
-          this.setCursor(0);
-          break;
-
-        case "b": // ALT + LEFT
-          ofs = closestLeftBoundary(this._input, this._cursor);
-          if (ofs != null) this.setCursor(ofs);
-          break;
-
-        case "f": // ALT + RIGHT
-          ofs = closestRightBoundary(this._input, this._cursor);
-          if (ofs != null) this.setCursor(ofs);
-          break;
-
-        case "\x7F": // CTRL + BACKSPACE
-          ofs = closestLeftBoundary(this._input, this._cursor);
-          if (ofs != null) {
-            this.setInput(
-              this._input.substr(0, ofs) + this._input.substr(this._cursor)
-            );
-            this.setCursor(ofs);
-          }
-          break;
-      }
 
-      // Handle special characters
-    } else if (ord < 32 || ord === 0x7f) {
-      switch (data) {
-        case "\r": // ENTER
-          if (isIncompleteInput(this._input)) {
-            this.handleCursorInsert("\n");
-          } else {
-            this.handleReadComplete();
-          }
-          break;
-
-        case "\x7F": // BACKSPACE
-          this.handleCursorErase(true);
-          break;
-
-        case "\t": // TAB
-          if (this._autocompleteHandlers.length > 0) {
-            const inputFragment = this._input.substr(0, this._cursor);
-            const hasTailingSpace = hasTailingWhitespace(inputFragment);
-            const candidates = collectAutocompleteCandidates(
-              this._autocompleteHandlers,
-              inputFragment
-            );
-
-            // Sort candidates
-            candidates.sort();
-
-            // Depending on the number of candidates, we are handing them in
-            // a different way.
-            if (candidates.length === 0) {
-              // No candidates? Just add a space if there is none already
-              if (!hasTailingSpace) {
-                this.handleCursorInsert(" ");
-              }
-            } else if (candidates.length === 1) {
-              // Just a single candidate? Complete
-              const lastToken = getLastToken(inputFragment);
-              this.handleCursorInsert(
-                candidates[0].substr(lastToken.length) + " "
-              );
-            } else if (candidates.length <= this.maxAutocompleteEntries) {
-
-              // search for a shared fragement
-              const sameFragment = getSharedFragment(inputFragment, candidates);
-              
-              // if there's a shared fragement between the candidates
-              // print complete the shared fragment
-              if (sameFragment) {
-                const lastToken = getLastToken(inputFragment);
-                this.handleCursorInsert(
-                  sameFragment.substr(lastToken.length)
-                );
-              }
-
-              // If we are less than maximum auto-complete candidates, print
-              // them to the user and re-start prompt
-              this.printAndRestartPrompt(() => {
-                this.printWide(candidates);
-              });
-            } else {
-              // If we have more than maximum auto-complete candidates, print
-              // them only if the user acknowledges a warning
-              this.printAndRestartPrompt(() =>
-                this.readChar(
-                  `Display all ${candidates.length} possibilities? (y or n)`
-                ).then(yn => {
-                  if (yn == "y" || yn == "Y") {
-                    this.printWide(candidates);
-                  }
-                })
-              );
-            }
-          } else {
-            this.handleCursorInsert("    ");
-          }
-          break;
-
-        case "\x03": // CTRL+C
-          this.setCursor(this._input.length);
-          this.term.write("^C\r\n" + ((this._activePrompt || {}).prompt || ""));
-          this._input = "";
-          this._cursor = 0;
-          if (this.history) this.history.rewind();
-          break;
+    // Keep track of the previous command, for accumulating kills and yank-pop
+    this._previousCommand = this._lastCommand;
+    this._lastCommand = null;
+
+    const binding = this.keymap.lookup(data);
+    if (binding != null) {
+      if (binding.pending) {
+        this._lastCommand = this._previousCommand;
+      } else if (binding.action != null) {
+        this.undo.breakGroup();
+        this.runAction(binding.action, data, event);
       }
+    } else if (ord >= 32 && ord !== 0x7f && ord !== 0x1b) {
+      this.handleTypedInsert(data);
+    }
+  }
 
-      // Handle visible characters
+  /**
+   * Handle a single piece of information while in history search mode
+   */
+  handleSearchData(data) {
+    const search = this._search;
+    const ord = data.charCodeAt(0);
+
+    switch (data) {
+      case "\x12": // CTRL+R
+        search.backwards = true;
+        this.updateHistorySearch(search.index - 1, true);
+        return;
+
+      case "\x13": // CTRL+S
+        search.backwards = false;
+        this.updateHistorySearch(search.index + 1, true);
+        return;
+
+      case "\x7F": // BACKSPACE
+        search.query = search.query.substr(0, search.query.length - 1);
+        this.updateHistorySearch(
+          search.backwards ? this.history.entries.length - 1 : 0
+        );
+        return;
+
+      case "\r": // ENTER
+      case "\x1b": // ESC
+        this.acceptHistorySearch();
+        return;
+
+      case "\x07": // CTRL+G
+        this.cancelHistorySearch();
+        return;
+
+      case "\x03": // CTRL+C
+        this.cancelHistorySearch();
+        this.handleData(data);
+        return;
+    }
+
+    if (ord < 32 || ord === 0x7f || ord === 0x1b) {
+      // Any other special key accepts the search and is then handled as usual
+      this.acceptHistorySearch();
+      this.handleData(data);
     } else {
-      this.handleCursorInsert(data);
+      search.query += data;
+      this.updateHistorySearch(
+        Math.min(search.index, this.history.entries.length - 1)
+      );
     }
   }
 }
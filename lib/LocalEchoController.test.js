@@ -0,0 +1,767 @@
+const LocalEchoController = require("./LocalEchoController").default;
+const { VirtualTerminal } = require("./VirtualTerminal");
+const { bracketContinuation } = require("./Continuation");
+
+/**
+ * Creates a controller on a virtual terminal of the given size
+ */
+function setup(cols = 20, rows = 6, options = {}) {
+  const term = new VirtualTerminal({ cols, rows });
+  const controller = new LocalEchoController(term, options);
+  return { term, controller };
+}
+
+/**
+ * Test typing and editing the input
+ */
+test("editing", () => {
+  const { term, controller } = setup();
+  controller.read("$ ");
+
+  term.typeKeys("echo hello<Left><Left>X");
+  expect(term.screenText()).toEqual("$ echo helXlo");
+  expect(term.cursor).toEqual({ row: 0, col: 11 });
+
+  term.typeKeys("<C-a><Delete><M-f><Backspace>");
+  expect(term.screenText()).toEqual("$ ch helXlo");
+  expect(term.cursor).toEqual({ row: 0, col: 4 });
+});
+
+/**
+ * Test wrapping long inputs and updating them with a single write
+ */
+test("wrapping", () => {
+  const { term, controller } = setup(10);
+  controller.read("$ ");
+
+  term.typeKeys("abcdefghijklmnop");
+  expect(term.screenText()).toEqual("$ abcdefgh\nijklmnop");
+  expect(term.cursor).toEqual({ row: 1, col: 8 });
+
+  term.writes = [];
+  term.typeKeys("<C-a>");
+  expect(term.writes).toEqual(["\x1b[1A\x1b[3G"]);
+
+  term.typeKeys("<C-k>");
+  expect(term.screenText()).toEqual("$");
+  expect(term.cursor).toEqual({ row: 0, col: 2 });
+});
+
+/**
+ * Test displaying a prompt with a hyperlink
+ */
+test("hyperlinks", () => {
+  const { term, controller } = setup();
+  const link = "\x1b]8;;http://x\x1b\\link\x1b]8;;\x1b\\";
+  controller.read(`${link} \x1b[32m$\x1b[0m `);
+  term.typeKeys("ls");
+
+  expect(term.screenText()).toEqual("link $ ls");
+  expect(term.linkAt(0, 0)).toEqual("http://x");
+  expect(term.linkAt(0, 3)).toEqual("http://x");
+  expect(term.linkAt(0, 4)).toEqual("");
+  expect(term.styleAt(0, 5)).toEqual("\x1b[32m");
+});
+
+/**
+ * Test killing and yanking text, with consecutive kills accumulated
+ */
+test("kill and yank", () => {
+  const { term, controller } = setup(40);
+  controller.read("$ ");
+
+  term.typeKeys("one two three<C-w><C-w>");
+  expect(term.screenText()).toEqual("$ one");
+  term.typeKeys("<C-y>");
+  expect(term.screenText()).toEqual("$ one two three");
+
+  term.typeKeys("<C-a><M-f><C-k><C-u>");
+  expect(term.screenText()).toEqual("$");
+  term.typeKeys("<C-y>");
+  expect(term.screenText()).toEqual("$ one two three");
+
+  term.typeKeys(" <C-y>");
+  expect(term.screenText()).toEqual("$ one two three one two three");
+  term.typeKeys("<M-y>");
+  expect(term.screenText()).toEqual("$ one two three two three");
+  term.typeKeys("<M-y>");
+  expect(term.screenText()).toEqual("$ one two three one two three");
+
+  // Yank-pop only applies right after a yank
+  term.typeKeys("<Left><M-y>");
+  expect(term.screenText()).toEqual("$ one two three one two three");
+});
+
+/**
+ * Test undoing and redoing the edits
+ */
+test("undo", () => {
+  const { term, controller } = setup(40);
+  controller.history.push("ls -la");
+  controller.addAutocompleteHandler(() => ["echo"]);
+  controller.read("$ ");
+
+  // Consecutive inserts are a single step, broken by cursor moves
+  term.typeKeys("ab<Left>c<End>d");
+  expect(term.screenText()).toEqual("$ acbd");
+  term.typeKeys("<C-_>");
+  expect(term.screenText()).toEqual("$ acb");
+  expect(term.cursor).toEqual({ row: 0, col: 5 });
+  term.typeKeys("<C-_>");
+  expect(term.screenText()).toEqual("$ ab");
+  term.typeKeys("<M-_>");
+  expect(term.screenText()).toEqual("$ acb");
+
+  // A new edit drops the steps that could be redone
+  term.typeKeys("x<M-_>");
+  expect(term.screenText()).toEqual("$ acbx");
+
+  // Recalling the history is undone at once
+  term.typeKeys("<Up>");
+  expect(term.screenText()).toEqual("$ ls -la");
+  term.typeKeys("<C-_>");
+  expect(term.screenText()).toEqual("$ acbx");
+
+  // So is a completion
+  term.typeKeys("<C-u>ec<Tab>");
+  return term
+    .settle()
+    .then(() => {
+      expect(term.screenText()).toEqual("$ echo");
+      term.typeKeys("<C-_>");
+      expect(term.screenText()).toEqual("$ ec");
+
+      // The next read starts with an empty history
+      term.typeKeys("<Enter>");
+      controller.read("$ ");
+      term.typeKeys("<C-_>");
+      expect(term.screenText()).toEqual("$ ec\n$");
+    });
+});
+
+/**
+ * Test transposing characters and changing the case of words
+ */
+test("transpose and case", () => {
+  const { term, controller } = setup(40);
+  controller.read("$ ");
+
+  term.typeKeys("ab<C-t>");
+  expect(term.screenText()).toEqual("$ ba");
+  term.typeKeys("<Left><C-t>");
+  expect(term.screenText()).toEqual("$ ab");
+  expect(term.cursor).toEqual({ row: 0, col: 4 });
+
+  term.typeKeys("<C-u>hello big WORLD<C-a><M-u>");
+  expect(term.screenText()).toEqual("$ HELLO big WORLD");
+  term.typeKeys("<M-c><M-l>");
+  expect(term.screenText()).toEqual("$ HELLO Big world");
+  expect(term.cursor).toEqual({ row: 0, col: 17 });
+});
+
+/**
+ * Test pasting text, as a single edit that is never submitted
+ */
+test("paste", () => {
+  const { term, controller } = setup(40);
+  const line = controller.read("$ ");
+  expect(term.writes.join("")).toContain("\x1b[?2004h");
+
+  term.send("\x1b[200~echo a\r\nb\tc\x07\x1b[31md\x1b[201~");
+  expect(term.screenText()).toEqual("$ echo a\n> b    cd");
+  term.typeKeys("<C-_>");
+  expect(term.screenText()).toEqual("$");
+
+  term.writes = [];
+  term.typeKeys("<Enter>");
+  expect(term.writes.join("")).toContain("\x1b[?2004l");
+  return expect(line).resolves.toEqual("");
+});
+
+/**
+ * Test replacing or cancelling pasted text with the `onPaste` hook
+ */
+test("paste hook", () => {
+  const pasted = [];
+  const { term, controller } = setup(40, 6, {
+    onPaste: text => {
+      pasted.push(text);
+      if (text === "skip") return null;
+      if (text === "later") return Promise.resolve(" LATER");
+      return text.toUpperCase();
+    }
+  });
+  controller.read("$ ");
+
+  term.send("\x1b[200~now\x1b[201~");
+  term.send("\x1b[200~skip\x1b[201~");
+  expect(term.screenText()).toEqual("$ NOW");
+
+  term.send("\x1b[200~later\x1b[201~");
+  return term.settle().then(() => {
+    expect(term.screenText()).toEqual("$ NOW LATER");
+    expect(pasted).toEqual(["now", "skip", "later"]);
+  });
+});
+
+/**
+ * Test disabling the bracketed paste mode
+ */
+test("bracketedPaste", () => {
+  const { term, controller } = setup(40, 6, { bracketedPaste: false });
+  controller.read("$ ");
+  term.typeKeys("ls<Enter>");
+  expect(term.writes.join("")).not.toContain("\x1b[?2004");
+});
+
+/**
+ * Test completing the input, with continuation lines
+ */
+test("read()", () => {
+  const { term, controller } = setup();
+  const line = controller.read("$ ", "> ");
+
+  term.typeKeys("echo 'a<Enter>b'<Enter>");
+  expect(term.screenText()).toEqual("$ echo 'a\n> b'");
+  expect(term.cursor).toEqual({ row: 2, col: 0 });
+  return expect(line).resolves.toEqual("echo 'a\nb'");
+});
+
+/**
+ * Test the history and the interrupts
+ */
+test("history", () => {
+  const { term, controller } = setup();
+  controller.history.push("ls -la");
+  controller.read("$ ");
+
+  term.typeKeys("<Up>");
+  expect(term.screenText()).toEqual("$ ls -la");
+  term.typeKeys("<C-c>");
+  expect(term.screenText()).toEqual("$ ls -la^C\n$");
+  expect(term.cursor).toEqual({ row: 1, col: 2 });
+});
+
+/**
+ * Test searching the history incrementally
+ */
+test("reverse search", () => {
+  const { term, controller } = setup(50);
+  ["git status", "ls -la", "git commit", "echo done"].forEach(entry =>
+    controller.history.push(entry)
+  );
+  const line = controller.read("$ ");
+
+  term.typeKeys("ech<Left><C-r>");
+  expect(term.screenText()).toEqual("(reverse-i-search)`': ech");
+  term.typeKeys("git");
+  expect(term.screenText()).toEqual("(reverse-i-search)`git': git commit");
+  expect(term.cursor).toEqual({ row: 0, col: 25 });
+
+  // Cycling to older matches, until there are none
+  term.typeKeys("<C-r>");
+  expect(term.screenText()).toEqual("(reverse-i-search)`git': git status");
+  term.typeKeys("<C-r>");
+  expect(term.screenText()).toEqual(
+    "(failed reverse-i-search)`git': git status"
+  );
+  term.typeKeys("<Backspace>");
+  expect(term.screenText()).toEqual("(reverse-i-search)`gi': git commit");
+
+  // Cancelling restores the original input and cursor
+  term.typeKeys("<C-g>");
+  expect(term.screenText()).toEqual("$ ech");
+  expect(term.cursor).toEqual({ row: 0, col: 4 });
+
+  // Accepting keeps the match, without submitting it
+  term.typeKeys("<C-r>la<Enter>");
+  expect(term.screenText()).toEqual("$ ls -la");
+  expect(term.cursor).toEqual({ row: 0, col: 6 });
+
+  term.typeKeys("<C-r>done<Esc>");
+  return new Promise(resolve => setTimeout(resolve, 60)).then(() => {
+    expect(term.screenText()).toEqual("$ echo done");
+    expect(term.cursor).toEqual({ row: 0, col: 7 });
+    term.typeKeys("<Enter>");
+    return expect(line).resolves.toEqual("echo done");
+  });
+});
+
+/**
+ * Test switching the history namespace for a read
+ */
+test("history namespaces", () => {
+  const { term, controller } = setup();
+  controller.history.storage.append("sql", "SELECT 1", 10);
+  controller.history.push("ls");
+  controller.read("$ ", { historyNamespace: "sql" });
+
+  term.typeKeys("<Up>");
+  expect(term.screenText()).toEqual("$ SELECT 1");
+  term.typeKeys("<C-u>SELECT 2<Enter>");
+  expect(controller.history.namespace).toEqual("sql");
+  expect(controller.history.storage.load("sql")).toEqual([
+    "SELECT 1",
+    "SELECT 2"
+  ]);
+
+  controller.read("$ ", { historyNamespace: "default" });
+  term.typeKeys("<Up>");
+  expect(term.screenText()).toEqual("$ SELECT 2\n$ ls");
+});
+
+/**
+ * Test suggesting the most recent matching history entry
+ */
+test("autosuggest", () => {
+  const { term, controller } = setup(40, 6, { autosuggest: true });
+  controller.history.push("git commit -m fix");
+  controller.history.push("git status");
+  controller.history.push("ls");
+  const first = controller.read("$ ");
+
+  term.typeKeys("git c");
+  expect(term.screenText()).toEqual("$ git commit -m fix");
+  expect(term.styleAt(0, 6)).toEqual("");
+  expect(term.styleAt(0, 7)).toEqual("\x1b[2m");
+  expect(term.cursor).toEqual({ row: 0, col: 7 });
+
+  // Accepted word by word, then entirely
+  term.typeKeys("<M-f>");
+  expect(term.cursor).toEqual({ row: 0, col: 12 });
+  expect(term.styleAt(0, 11)).toEqual("");
+  expect(term.styleAt(0, 13)).toEqual("\x1b[2m");
+  term.typeKeys("<End>");
+  expect(term.screenText()).toEqual("$ git commit -m fix");
+  expect(term.styleAt(0, 18)).toEqual("");
+  expect(term.cursor).toEqual({ row: 0, col: 19 });
+  term.typeKeys("<Enter>");
+
+  const second = controller.read("$ ");
+  term.typeKeys("git s<Right>");
+  expect(term.screenText()).toEqual("$ git commit -m fix\n$ git status");
+  expect(term.cursor).toEqual({ row: 1, col: 12 });
+  term.typeKeys("<Enter>");
+
+  // The suggestion is erased when the input is submitted
+  const third = controller.read("$ ");
+  term.typeKeys("git<Enter>");
+  expect(term.screenText()).toEqual(
+    "$ git commit -m fix\n$ git status\n$ git"
+  );
+
+  return Promise.all([
+    expect(first).resolves.toEqual("git commit -m fix"),
+    expect(second).resolves.toEqual("git status"),
+    expect(third).resolves.toEqual("git")
+  ]);
+});
+
+/**
+ * Test the auto-complete handlers
+ */
+test("auto-complete", () => {
+  const { term, controller } = setup(30);
+  controller.addAutocompleteHandler(() => ["echo", "exit", "export"]);
+  controller.read("$ ");
+
+  term.typeKeys("ec<Tab>");
+  return term
+    .settle()
+    .then(() => {
+      expect(term.screenText()).toEqual("$ echo");
+      term.typeKeys("<C-u>e<Tab><Tab>");
+      return term.settle();
+    })
+    .then(() => {
+      expect(term.screenText()).toEqual("$ e\necho    exit    export\n$ e");
+      expect(term.cursor).toEqual({ row: 2, col: 3 });
+    });
+});
+
+/**
+ * Test ignoring the invalid candidates of the auto-complete handlers
+ */
+test("auto-complete invalid candidates", () => {
+  const { term, controller } = setup(30);
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+  controller.addAutocompleteHandler(() => [8080, 8443]);
+  controller.read("$ ");
+
+  term.typeKeys("8<Tab>");
+  return term.settle().then(() => {
+    expect(term.screenText()).toEqual("$ 8");
+    expect(controller._completion).toBe(null);
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+});
+
+/**
+ * Test completing tokens with quotes and escapes
+ */
+test("auto-complete quoted tokens", () => {
+  const { term, controller } = setup(40);
+  const files = ["my file.txt", "my files.md", "notes.md"];
+  controller.addAutocompleteHandler(index => (index > 0 ? files : []));
+  controller.read("$ ");
+
+  term.typeKeys("cat my\\ fi<Tab>");
+  return term
+    .settle()
+    .then(() => {
+      expect(controller._input).toEqual("cat my\\ file");
+      term.typeKeys("<Tab>");
+      return term.settle();
+    })
+    .then(() => {
+      expect(controller._input).toEqual("cat my\\ file.txt ");
+      term.typeKeys("<C-u>cat 'my file.t<Tab>");
+      return term.settle();
+    })
+    .then(() => {
+      expect(controller._input).toEqual("cat 'my file.txt' ");
+      term.typeKeys('<C-u>cat "my<Tab>');
+      return term.settle();
+    })
+    .then(() => {
+      // The quote stays open while the candidates differ
+      expect(controller._input).toEqual('cat "my file');
+    });
+});
+
+/**
+ * Test navigating, scrolling, filtering and closing the completion menu
+ */
+test("completion menu", () => {
+  const { term, controller } = setup(30, 8, {
+    completionMenu: true,
+    completionMenuRows: 3
+  });
+  controller.addAutocompleteHandler(() => [
+    "apple",
+    "apricot",
+    "avocado",
+    "banana",
+    "blueberry"
+  ]);
+  const line = controller.read("$ ");
+  // The row of the selected (reversed) candidate
+  const selected = () =>
+    [1, 2, 3].find(row => term.styleAt(row, 0) === "\x1b[7m");
+
+  term.typeKeys("<Tab>");
+  return term
+    .settle()
+    .then(() => {
+      expect(term.screenText()).toEqual("$\napple\napricot\navocado");
+      expect(selected()).toEqual(1);
+      expect(term.cursor).toEqual({ row: 0, col: 2 });
+
+      term.typeKeys("<Down><Tab>");
+      expect(selected()).toEqual(3);
+
+      // Scrolling to the candidates out of view, wrapping around the ends
+      term.typeKeys("<Down>");
+      expect(term.screenText()).toEqual("$\napricot\navocado\nbanana");
+      expect(selected()).toEqual(3);
+      term.typeKeys("<Up><Up><Up><Up>");
+      expect(term.screenText()).toEqual("$\navocado\nbanana\nblueberry");
+      expect(selected()).toEqual(3);
+      term.typeKeys("<S-Tab>");
+      expect(selected()).toEqual(2);
+
+      // Filtering as the user types
+      term.typeKeys("b");
+      expect(term.screenText()).toEqual("$ b\nbanana\nblueberry");
+      expect(selected()).toEqual(1);
+      term.typeKeys("l");
+      expect(term.screenText()).toEqual("$ bl\nblueberry");
+      term.typeKeys("<Backspace>a");
+      expect(term.screenText()).toEqual("$ ba\nbanana");
+
+      // Closing the menu clears its rows (once the Escape key is told apart
+      // from an escape sequence)
+      term.typeKeys("<Esc>");
+      return new Promise(resolve => setTimeout(resolve, 60));
+    })
+    .then(() => {
+      expect(term.screenText()).toEqual("$ ba");
+      expect(term.cursor).toEqual({ row: 0, col: 4 });
+
+      term.typeKeys("<C-u>a<Tab>");
+      return term.settle();
+    })
+    .then(() => {
+      term.typeKeys("<Up><Enter>");
+      expect(term.screenText()).toEqual("$ avocado");
+      term.typeKeys("<Enter>");
+      return expect(line).resolves.toEqual("avocado ");
+    });
+});
+
+/**
+ * Test picking a quoted candidate from the completion menu
+ */
+test("completion menu quoted tokens", () => {
+  const { term, controller } = setup(40, 8, { completionMenu: true });
+  controller.addAutocompleteHandler(() => ["my file.txt", "my files.md"]);
+  controller.read("$ ");
+
+  term.typeKeys("my\\ <Tab>");
+  return term.settle().then(() => {
+    term.typeKeys("s<Enter>");
+    expect(controller._input).toEqual("my\\ files.md ");
+  });
+});
+
+/**
+ * Test reading masked secrets
+ */
+test("readPassword()", () => {
+  const { term, controller } = setup();
+  controller.history.push("ls");
+  const password = controller.readPassword("Password: ", { mask: "*" });
+
+  term.typeKeys("seKret<Backspace><Up><Tab>");
+  expect(term.screenText()).toEqual("Password: *****");
+  term.typeKeys("<C-u>p4ss'<Enter>");
+  expect(term.screenText()).toEqual("Password: *****");
+  expect(controller.history.entries).toEqual(["ls"]);
+  expect(controller.killRing.yank()).toBeUndefined();
+  expect(controller._input).toEqual("");
+
+  // Interrupting rejects the read
+  const token = controller.readPassword("Token: ");
+  term.typeKeys("abc<C-c>");
+  expect(term.screenText()).toEqual("Password: *****\nToken: ^C");
+  return Promise.all([
+    expect(password).resolves.toEqual("p4ss'"),
+    expect(token).rejects.toEqual("interrupted")
+  ]);
+});
+
+/**
+ * Test reading with another detector of incomplete input, showing the
+ * nesting depth in the continuation prompt
+ */
+test("continuation", () => {
+  const { term, controller } = setup(30);
+  const line = controller.read("> ", depth => "..".repeat(depth) + " ", {
+    continuation: bracketContinuation
+  });
+
+  term.typeKeys("f({<Enter>a: [<Enter>1]<Enter>})<Enter>");
+  expect(term.screenText()).toEqual("> f({\n.... a: [\n...... 1]\n.... })");
+  return expect(line).resolves.toEqual("f({\na: [\n1]\n})");
+});
+
+/**
+ * Test validating the input before completing the read
+ */
+test("validate", () => {
+  const { term, controller } = setup(30);
+  const validate = input =>
+    input >= 1 && input <= 65535 ? null : "port must be 1-65535";
+  const line = controller.read("Port: ", "> ", { validate });
+
+  term.typeKeys("70000<Left><Enter>");
+  expect(term.screenText()).toEqual("Port: 70000\nport must be 1-65535");
+  expect(term.cursor).toEqual({ row: 0, col: 10 });
+  expect(term.styleAt(1, 0)).toEqual("\x1b[31m");
+
+  // The message is cleared on the next edit
+  term.typeKeys("<C-a><Delete>");
+  expect(term.screenText()).toEqual("Port: 0000");
+  term.typeKeys("8<Enter>");
+  expect(term.screenText()).toEqual("Port: 80000\nport must be 1-65535");
+  term.typeKeys("<End><Backspace><Enter>");
+  expect(term.screenText()).toEqual("Port: 8000");
+  return expect(line).resolves.toEqual("8000");
+});
+
+/**
+ * Test validating the input asynchronously
+ */
+test("validate asynchronously", () => {
+  const { term, controller } = setup(30);
+  const validate = input =>
+    Promise.reject(new Error(`${input} is taken`));
+  controller.read("Name: ", "> ", { validate });
+
+  term.typeKeys("bob<Enter>");
+  return term.settle().then(() => {
+    expect(term.screenText()).toEqual("Name: bob\nbob is taken");
+    term.typeKeys("<C-c>");
+    expect(term.screenText()).toEqual("Name: bob^C\nName:");
+  });
+});
+
+/**
+ * Test the options of the read operations
+ */
+test("read() options", () => {
+  const { term, controller } = setup(30);
+  controller.history.push("12");
+
+  const name = controller.read("Name: ", { initialText: "notes.txt" });
+  expect(term.screenText()).toEqual("Name: notes.txt");
+  expect(term.cursor).toEqual({ row: 0, col: 15 });
+  term.typeKeys("<M-Backspace>md<Enter>");
+
+  const port = controller.read("Port: ", {
+    placeholder: "8080",
+    maxLength: 5,
+    allowedChars: /[0-9]/,
+    history: false
+  });
+  expect(term.screenText()).toEqual("Name: notes.md\nPort: 8080");
+  expect(term.styleAt(1, 6)).toEqual("\x1b[2m");
+  expect(term.cursor).toEqual({ row: 1, col: 6 });
+
+  term.typeKeys("<Up>1a2b3456");
+  expect(term.screenText()).toEqual("Name: notes.md\nPort: 12345");
+  term.typeKeys("<Enter>");
+  expect(controller.history.entries).toEqual(["12", "notes.md"]);
+
+  // The maximum length does not split characters
+  const code = controller.read("Code: ", { maxLength: 3 });
+  term.typeKeys("ab😀c<Enter>");
+
+  return Promise.all([
+    expect(name).resolves.toEqual("notes.md"),
+    expect(port).resolves.toEqual("12345"),
+    expect(code).resolves.toEqual("abc")
+  ]);
+});
+
+/**
+ * Test keeping every edit within the limits of the read
+ */
+test("input limits", () => {
+  const { term, controller } = setup();
+  controller.bindKey("C-o", c => c.setInput("12a345678", 3));
+  controller.on("beforeSubmit", ({ input }) => input + "9");
+
+  const digits = controller.read("$ ", {
+    maxLength: 5,
+    allowedChars: /[0-9]/g
+  });
+  term.typeKeys("1234");
+  expect(term.screenText()).toEqual("$ 1234");
+  term.typeKeys("<C-o>");
+  expect(term.screenText()).toEqual("$ 12345");
+  expect(term.cursor).toEqual({ row: 0, col: 4 });
+  term.typeKeys("<C-k><Enter>");
+
+  return expect(digits).resolves.toEqual("129");
+});
+
+/**
+ * Test delivering Ctrl+C and Ctrl+Z while no read is active
+ */
+test("interrupts", () => {
+  const { term, controller } = setup();
+  const signals = [];
+
+  // Nothing listens for the keys yet
+  term.typeKeys("<C-c>");
+  expect(term.screenText()).toEqual("");
+
+  const listener = controller.onInterrupt(signal => signals.push(signal));
+  const signal = controller.createAbortSignal();
+  term.typeKeys("ls<C-z>");
+  expect(signal.aborted).toBe(false);
+  term.typeKeys("<C-c>");
+  expect(signal.aborted).toBe(true);
+  expect(signals).toEqual(["SIGTSTP", "SIGINT"]);
+  expect(term.screenText()).toEqual("^Z\n^C");
+
+  // The keys are edits while reading, and the signals end with the read
+  const stale = controller.createAbortSignal();
+  const line = controller.read("$ ");
+  term.typeKeys("<C-c>");
+  expect(stale.aborted).toBe(false);
+  expect(signals).toEqual(["SIGTSTP", "SIGINT"]);
+
+  listener.dispose();
+  controller.abortRead();
+  term.typeKeys("<C-c>");
+  expect(stale.aborted).toBe(false);
+  expect(term.screenText()).toEqual("^Z\n^C\n$ ^C\n$");
+  return expect(line).rejects.toEqual("aborted");
+});
+
+/**
+ * Test the events of the input
+ */
+test("events", () => {
+  const { term, controller } = setup();
+  const events = [];
+  const record = name => payload => events.push([name, payload]);
+  ["change", "cursor", "history", "submit", "abort"].forEach(name =>
+    controller.on(name, record(name))
+  );
+  controller.addAutocompleteHandler(() => ["echo"]);
+  controller.on("completionAccept", record("accept"));
+  controller.history.push("ls");
+
+  controller.read("$ ");
+  term.typeKeys("e<Left><Up>");
+  expect(events).toEqual([
+    ["change", { input: "e", cursor: 1 }],
+    ["cursor", { input: "e", cursor: 1 }],
+    ["cursor", { input: "e", cursor: 0 }],
+    ["change", { input: "ls", cursor: 0 }],
+    ["cursor", { input: "ls", cursor: 2 }],
+    ["history", { input: "ls", cursor: 2, direction: -1 }]
+  ]);
+
+  events.length = 0;
+  term.typeKeys("<C-u>ec<Tab>");
+  return term.settle().then(() => {
+    expect(events.slice(-3)).toEqual([
+      ["change", { input: "echo ", cursor: 5 }],
+      ["cursor", { input: "echo ", cursor: 5 }],
+      ["accept", { input: "echo ", cursor: 5, value: "echo" }]
+    ]);
+
+    events.length = 0;
+    const line = controller.read("$ ");
+    term.typeKeys("a");
+    controller.abortRead("stop");
+    expect(events.slice(-1)).toEqual([
+      ["abort", { input: "a", cursor: 1, reason: "stop" }]
+    ]);
+    return expect(line).rejects.toEqual("stop");
+  });
+});
+
+/**
+ * Test vetoing and transforming the input with the `before` events
+ */
+test("before events", () => {
+  const { term, controller } = setup();
+  const listener = controller.on("beforeInput", ({ text }) =>
+    /[0-9]/.test(text) ? false : text.toUpperCase()
+  );
+  controller.on("beforeSubmit", ({ input }) =>
+    input === "" ? false : input.trim()
+  );
+
+  const first = controller.read("$ ");
+  term.typeKeys("<Enter>");
+  expect(term.screenText()).toEqual("$");
+  term.typeKeys("a1b <Enter>");
+  expect(term.screenText()).toEqual("$ AB");
+
+  listener.dispose();
+  const second = controller.read("$ ");
+  term.send("\x1b[200~ c1 \x1b[201~").typeKeys("<Enter>");
+  expect(term.screenText()).toEqual("$ AB\n$ c1");
+
+  return Promise.all([
+    expect(first).resolves.toEqual("AB"),
+    expect(second).resolves.toEqual("c1")
+  ]);
+});
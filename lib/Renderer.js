@@ -0,0 +1,280 @@
+import { escapeSequenceLength } from "./Ansi";
+import { charWidth } from "./Unicode";
+
+/**
+ * Checks if the escape sequence is an SGR (style) sequence
+ */
+function isStyleSequence(seq) {
+  return /^\x1b\[[0-9;:]*m$/.test(seq);
+}
+
+/**
+ * Checks if the escape sequence is an OSC 8 (hyperlink) sequence
+ */
+function isLinkSequence(seq) {
+  return /^\x1b\]8;[^;]*;/.test(seq);
+}
+
+/**
+ * Returns the sequence that ends a hyperlink started by the given one
+ */
+function linkEnd(link) {
+  return /\x07$/.test(link) ? "\x1b]8;;\x07" : "\x1b]8;;\x1b\\";
+}
+
+/**
+ * Splits the (styled) text into the rows of cells it occupies on a terminal
+ * with the given number of columns
+ *
+ * Each cell holds a character (along with any zero-width characters that
+ * follow it), its width, the style it is displayed with and the hyperlink
+ * it is part of. Rows wrap the same way `offsetToColRow` does. The other
+ * escape sequences are kept as the zero-width `data` of the cell that
+ * follows them (or of an empty cell at the end of the row).
+ */
+export function layoutText(text, cols) {
+  const rows = [[]];
+  let row = rows[0];
+  let col = 0;
+  let style = "";
+  let link = "";
+  let data = "";
+
+  // Keep the sequences at the end of a row in a cell of their own
+  const flushData = () => {
+    if (data === "") return;
+    row.push({ chr: "", width: 0, style, link, data });
+    data = "";
+  };
+
+  for (let i = 0; i < text.length; ) {
+    const esc = escapeSequenceLength(text, i);
+    if (esc > 0) {
+      const seq = text.substr(i, esc);
+      if (isStyleSequence(seq)) {
+        style = seq === "\x1b[0m" || seq === "\x1b[m" ? "" : style + seq;
+      } else if (isLinkSequence(seq)) {
+        link = /^\x1b\]8;[^;]*;(\x07|\x1b\\)$/.test(seq) ? "" : seq;
+      } else {
+        data += seq;
+      }
+      i += esc;
+      continue;
+    }
+
+    const code = text.codePointAt(i);
+    const chr = String.fromCodePoint(code);
+    i += chr.length;
+
+    if (code === 0x0a) {
+      flushData();
+      row = [];
+      rows.push(row);
+      col = 0;
+      continue;
+    }
+
+    const width = charWidth(code);
+    if (width === 0) {
+      // Zero-width characters are displayed along with the previous one
+      if (row.length > 0) row[row.length - 1].chr += chr;
+      continue;
+    }
+    if (col + width > cols) {
+      row = [];
+      rows.push(row);
+      col = 0;
+    }
+    row.push({ chr, width, style, link, data });
+    col += width;
+    data = "";
+  }
+  flushData();
+
+  return rows;
+}
+
+/**
+ * Returns the number of columns the cells occupy
+ */
+function cellsWidth(cells, end = cells.length) {
+  let width = 0;
+  for (let i = 0; i < end; ++i) width += cells[i].width;
+  return width;
+}
+
+/**
+ * Checks if two cells are displayed the same way
+ */
+function sameCell(a, b) {
+  return (
+    a.chr === b.chr &&
+    a.width === b.width &&
+    a.style === b.style &&
+    a.link === b.link &&
+    a.data === b.data
+  );
+}
+
+/**
+ * A renderer keeps track of what is displayed in the area of the screen
+ * used by the prompt and the input, in order to update it with the
+ * minimal changes.
+ *
+ * The rows of the area are addressed relative to its first row, since the
+ * absolute position of the area on the screen is not known. The cursor is
+ * moved with the counted movement sequences and the columns are addressed
+ * absolutely.
+ */
+export class Renderer {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget what is displayed, starting over on the row of the cursor
+   *
+   * Since the contents of that row are not known, it is erased on the next
+   * render.
+   */
+  reset() {
+    this.rows = [];
+    this.cols = 0;
+    this.height = 1;
+    this.row = 0;
+    this.col = null;
+    this.dirty = true;
+  }
+
+  /**
+   * Returns the sequences that move the cursor to the given row and column
+   * of the area, creating new rows at its end as needed
+   */
+  moveTo(row, col) {
+    let out = "";
+
+    // Rows that are not on the screen yet are created with new lines, that
+    // scroll the screen if needed
+    if (row >= this.height) {
+      out += this.moveTo(this.height - 1, this.col);
+      out += "\r\n".repeat(row - this.height + 1);
+      this.height = row + 1;
+      this.row = row;
+      this.col = 0;
+    }
+
+    if (row < this.row) out += `\x1b[${this.row - row}A`;
+    if (row > this.row) out += `\x1b[${row - this.row}B`;
+    if (col !== this.col) out += col === 0 ? "\r" : `\x1b[${col + 1}G`;
+
+    this.row = row;
+    this.col = col;
+    return out;
+  }
+
+  /**
+   * Returns the sequences that update the screen to display the given
+   * (styled) text, with the cursor at the given row and column
+   */
+  render(text, cursor, cols) {
+    const rows = layoutText(text, cols);
+    const dirty = this.dirty;
+    let out = "";
+
+    // The cursor can not stay past the last column, so it is displayed at
+    // the beginning of the next row
+    if (cursor.col >= cols) cursor = { row: cursor.row + 1, col: 0 };
+    while (rows.length <= cursor.row) rows.push([]);
+
+    rows.forEach((cells, row) => {
+      const previous = this.rows[row] || [];
+
+      // Only write from the first cell that changed
+      let start = 0;
+      while (
+        start < cells.length &&
+        start < previous.length &&
+        sameCell(cells[start], previous[start])
+      ) {
+        start++;
+      }
+      if (start === cells.length && start === previous.length && !dirty) {
+        return;
+      }
+
+      out += this.moveTo(row, cellsWidth(cells, start));
+      out += this.renderCells(cells, start);
+      if (dirty || cellsWidth(previous) > cellsWidth(cells)) out += "\x1b[K";
+    });
+
+    // Erase the rows that are no longer used
+    if (this.rows.length > rows.length) {
+      out += this.moveTo(rows.length, 0) + "\x1b[J";
+    }
+
+    this.rows = rows;
+    this.cols = cols;
+    this.dirty = false;
+    return out + this.moveTo(cursor.row, cursor.col);
+  }
+
+  /**
+   * Returns the text of the cells from the given one, with their styles,
+   * hyperlinks and other escape sequences
+   */
+  renderCells(cells, start) {
+    let out = "";
+    let style = "";
+    let link = "";
+    for (let i = start; i < cells.length; ++i) {
+      const cell = cells[i];
+      if (cell.link !== link) {
+        out += link ? linkEnd(link) : "";
+        out += cell.link;
+        link = cell.link;
+      }
+      if (cell.style !== style) {
+        out += (style ? "\x1b[0m" : "") + cell.style;
+        style = cell.style;
+      }
+      out += cell.data + cell.chr;
+    }
+
+    this.col += cellsWidth(cells) - cellsWidth(cells, start);
+    if (link) out += linkEnd(link);
+    return style ? out + "\x1b[0m" : out;
+  }
+
+  /**
+   * Returns the sequences that erase the displayed rows, leaving the cursor
+   * at the beginning of the first one
+   */
+  clear() {
+    const out = this.moveTo(0, 0) + "\x1b[J";
+    this.rows = [];
+    this.dirty = false;
+    return out;
+  }
+
+  /**
+   * Returns the sequences that move the cursor to a new line after the
+   * displayed rows, leaving them on the screen, optionally writing the given
+   * text at the end of the last row first
+   */
+  leave(suffix = "") {
+    let last = this.rows.length - 1;
+    while (last > 0 && this.rows[last].length === 0) last--;
+
+    let out = "";
+    if (last >= 0) {
+      const width = cellsWidth(this.rows[last]);
+      const fits = suffix && width < this.cols;
+      out += this.moveTo(last, fits ? width : 0);
+      if (suffix && !fits) out += "\r\n";
+    }
+    out += suffix + "\r\n";
+
+    this.reset();
+    return out;
+  }
+}
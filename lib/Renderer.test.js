@@ -0,0 +1,73 @@
+const { Renderer, layoutText } = require("./Renderer");
+
+/**
+ * Test splitting the text into rows of cells
+ */
+test("layoutText()", () => {
+  const rows = layoutText("ab\x1b[1mc\x1b[0md\n日本", 3);
+  expect(rows.map(cells => cells.map(cell => cell.chr).join(""))).toEqual([
+    "abc",
+    "d",
+    "日",
+    "本"
+  ]);
+  expect(rows[0][2].style).toEqual("\x1b[1m");
+  expect(rows[1][0].style).toEqual("");
+});
+
+/**
+ * Test updating only what changed
+ */
+test("render()", () => {
+  const renderer = new Renderer();
+  expect(renderer.render("$ ab", { row: 0, col: 4 }, 10)).toEqual(
+    "\r$ ab\x1b[K"
+  );
+
+  // Typing at the end writes just the new character
+  expect(renderer.render("$ abc", { row: 0, col: 5 }, 10)).toEqual("c");
+
+  // Editing in the middle writes from the change on
+  expect(renderer.render("$ aXbc", { row: 0, col: 4 }, 10)).toEqual(
+    "\x1b[4GXbc\x1b[5G"
+  );
+
+  // Wrapping creates a new row, shrinking erases the rows left
+  expect(renderer.render("$ abcdefghijk", { row: 1, col: 3 }, 10)).toEqual(
+    "\x1b[4Gbcdefgh\r\nijk"
+  );
+  expect(renderer.render("$ a", { row: 0, col: 3 }, 10)).toEqual(
+    "\x1b[1A\x1b[K\x1b[1B\r\x1b[J\x1b[1A\x1b[4G"
+  );
+});
+
+/**
+ * Test leaving the displayed rows on the screen
+ */
+test("leave()", () => {
+  const renderer = new Renderer();
+  renderer.render("$ abc\n> d", { row: 0, col: 2 }, 10);
+  expect(renderer.leave("^C")).toEqual("\x1b[1B\x1b[4G^C\r\n");
+  expect(renderer.rows).toEqual([]);
+});
+
+/**
+ * Test keeping the hyperlinks and other escape sequences
+ */
+test("escape sequences", () => {
+  const renderer = new Renderer();
+  const prompt = "\x1b]8;;http://x\x07link\x1b]8;;\x07 $ ";
+  expect(renderer.render(prompt, { row: 0, col: 7 }, 20)).toEqual(
+    "\r\x1b]8;;http://x\x07link\x1b]8;;\x07 $ \x1b[K"
+  );
+
+  // Rewriting part of the link opens it again
+  renderer.render(prompt.replace("link", "lin"), { row: 0, col: 6 }, 20);
+  expect(renderer.render(prompt, { row: 0, col: 7 }, 20)).toEqual(
+    "\x1b[4G\x1b]8;;http://x\x07k\x1b]8;;\x07 $ "
+  );
+
+  // Sequences at the end of a row are kept
+  const rows = layoutText("ab\x1b]2;title\x07\nc", 10);
+  expect(rows[0].map(cell => cell.data)).toEqual(["", "", "\x1b]2;title\x07"]);
+});
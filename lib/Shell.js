@@ -0,0 +1,291 @@
+import { lexShell } from "./ShellLexer";
+import { stringWidth } from "./Unicode";
+
+/**
+ * Splits a command line into its arguments, using the shell quoting rules
+ *
+ * Comments are ignored, while operators (such as pipes or redirections)
+ * are not supported.
+ */
+export function parseArgs(line) {
+  return lexShell(line)
+    .tokens.filter(token => token.type !== "comment")
+    .map(token => {
+      if (token.type === "operator") {
+        throw new Error(`Unsupported operator: ${token.value}`);
+      }
+      return token.value;
+    });
+}
+
+/**
+ * Returns the name of an argument, as displayed in the usage of a command
+ */
+function argName(arg) {
+  return typeof arg === "string" ? arg : arg.name;
+}
+
+/**
+ * Pads the given text with spaces up to the given width
+ */
+function pad(text, width) {
+  return text + " ".repeat(Math.max(0, width - stringWidth(text)));
+}
+
+/**
+ * The commands every shell starts with
+ */
+const BUILTIN_COMMANDS = {
+  help: {
+    description: "Show the available commands, or the usage of a command",
+    args: [{ name: "[command]", complete: (tokens, shell) => shell.names() }],
+    handler: (args, { shell }) => shell.printHelp(args[0])
+  },
+  history: {
+    description: "Show the command history",
+    handler: (args, { controller }) => {
+      const { entries } = controller.history;
+      const width = String(entries.length).length;
+      entries.forEach((entry, i) => {
+        const number = String(i + 1);
+        const padding = " ".repeat(width - number.length + 2);
+        controller.println(`${padding}${number}  ${entry}`);
+      });
+    }
+  },
+  clear: {
+    description: "Clear the screen",
+    handler: (args, { controller }) =>
+      controller.print("\x1b[H\x1b[2J\x1b[3J")
+  }
+};
+
+/**
+ * A shell reads commands with a local echo controller and runs them.
+ *
+ * Commands are registered with a handler, that is called with the
+ * arguments of the command line (parsed with the shell quoting rules) and
+ * a context object. The command names (and the arguments that declare
+ * their candidates) are auto-completed, and the `help`, `history` and
+ * `clear` commands are available unless the `builtins` option is `false`.
+ */
+export class Shell {
+  constructor(controller, options = {}) {
+    this.controller = controller;
+    this.prompt = options.prompt || "$ ";
+    this.continuationPrompt = options.continuationPrompt || "> ";
+    this.commands = {};
+    this._running = false;
+    this._stopped = null;
+
+    if (options.builtins !== false) {
+      Object.keys(BUILTIN_COMMANDS).forEach(name =>
+        this.registerCommand(name, BUILTIN_COMMANDS[name])
+      );
+    }
+
+    this._complete = this.complete.bind(this);
+    controller.addAutocompleteHandler(this._complete);
+  }
+
+  /**
+   * Register a command
+   *
+   * The command is an object with the following properties:
+   * - `handler(args, context)`: The function that runs the command, called
+   *   with the array of arguments (without the command name) and a context
+   *   with the `name` of the command, the `line` typed, the `shell`, the
+   *   `controller` and an abort `signal`, that is aborted when the user
+   *   presses Ctrl+C. It can return a promise, that the shell waits for
+   *   (until it is interrupted) before reading the next command, or a
+   *   string to print.
+   * - `description`: A short description, displayed by `help`
+   * - `args`: The arguments, displayed in the usage of the command. Each one
+   *   is either a name (such as `"<file>"`) or an object with a `name`, a
+   *   `description` and the candidates to `complete` it with: an array, or
+   *   a function that receives the tokens of the input and the shell. A
+   *   name ending with `...` (such as `"<files...>"`) applies to all the
+   *   remaining arguments.
+   */
+  registerCommand(name, command) {
+    if (typeof command === "function") command = { handler: command };
+    this.commands[name] = Object.assign(
+      { description: "", args: [] },
+      command
+    );
+  }
+
+  /**
+   * Remove a command
+   */
+  unregisterCommand(name) {
+    delete this.commands[name];
+  }
+
+  /**
+   * Returns the names of the registered commands, sorted
+   */
+  names() {
+    return Object.keys(this.commands).sort();
+  }
+
+  /**
+   * Read and run commands until `stop` is called
+   *
+   * Returns a promise that resolves when the shell stops.
+   */
+  run() {
+    if (this._running) return this._done;
+    this._running = true;
+    this._done = new Promise(resolve => (this._stopped = resolve));
+    this.loop();
+    return this._done;
+  }
+
+  /**
+   * Stop reading commands, aborting the active read (if any)
+   */
+  stop() {
+    if (!this._running) return;
+    this._running = false;
+    this.controller.abortRead("stopped");
+  }
+
+  /**
+   * Read the next command and run it
+   */
+  loop() {
+    if (!this._running) {
+      this.controller.removeAutocompleteHandler(this._complete);
+      this._stopped();
+      return;
+    }
+
+    const prompt =
+      typeof this.prompt === "function" ? this.prompt() : this.prompt;
+    this.controller
+      .read(prompt, this.continuationPrompt)
+      .then(line => this.execute(line), () => {})
+      .then(() => this.loop());
+  }
+
+  /**
+   * Run the given command line
+   *
+   * Returns a promise that resolves when the command completes. Errors
+   * (thrown by the handler or due to unknown commands) are printed instead
+   * of rejecting it.
+   */
+  execute(line) {
+    const { controller } = this;
+    let args;
+    try {
+      args = parseArgs(line);
+    } catch (e) {
+      controller.println(e.message);
+      return Promise.resolve();
+    }
+    if (args.length === 0) return Promise.resolve();
+
+    const name = args.shift();
+    const command = this.commands.hasOwnProperty(name)
+      ? this.commands[name]
+      : null;
+    if (!command) {
+      controller.println(`${name}: command not found`);
+      return Promise.resolve();
+    }
+
+    const signal = controller.createAbortSignal();
+    const context = { name, line, signal, shell: this, controller };
+    const result = Promise.resolve()
+      .then(() => command.handler(args, context))
+      .then(
+        result => {
+          if (signal.aborted) return;
+          if (typeof result === "string") controller.println(result);
+        },
+        e => {
+          if (signal.aborted) return;
+          controller.println(`${name}: ${(e && e.message) || e}`);
+        }
+      );
+
+    // Interrupted commands are no longer waited for
+    const interrupted = new Promise(resolve =>
+      signal.addEventListener("abort", () => resolve())
+    );
+    return Promise.race([result, interrupted]);
+  }
+
+  /**
+   * Print the available commands, or the usage of the given one
+   */
+  printHelp(name) {
+    const { controller } = this;
+
+    if (name == null) {
+      const names = this.names();
+      const width = names.reduce(
+        (max, name) => Math.max(max, stringWidth(name)),
+        0
+      );
+      controller.println("Available commands:");
+      names.forEach(name => {
+        const { description } = this.commands[name];
+        const line = `  ${pad(name, width)}  ${description}`;
+        controller.println(line.replace(/ +$/, ""));
+      });
+      return;
+    }
+
+    const command = this.commands.hasOwnProperty(name)
+      ? this.commands[name]
+      : null;
+    if (!command) throw new Error(`no such command: ${name}`);
+
+    const usage = [name].concat(command.args.map(argName)).join(" ");
+    controller.println(`Usage: ${usage}`);
+    if (command.description) controller.println(command.description);
+
+    const described = command.args.filter(arg => arg.description);
+    const width = described.reduce(
+      (max, arg) => Math.max(max, stringWidth(arg.name)),
+      0
+    );
+    described.forEach(arg =>
+      controller.println(`  ${pad(arg.name, width)}  ${arg.description}`)
+    );
+  }
+
+  /**
+   * The auto-complete handler of the shell, completing the command names
+   * and the arguments that declare their candidates
+   */
+  complete(index, tokens) {
+    // Only simple commands are supported
+    if (tokens.some(token => typeof token !== "string")) return [];
+
+    if (index === 0) {
+      return this.names().map(name => ({
+        value: name,
+        description: this.commands[name].description
+      }));
+    }
+
+    const command = this.commands.hasOwnProperty(tokens[0])
+      ? this.commands[tokens[0]]
+      : null;
+    if (!command) return [];
+
+    const { args } = command;
+    let arg = args[index - 1];
+    const last = args[args.length - 1];
+    if (!arg && last && /\.\.\.[>\]]?$/.test(argName(last))) arg = last;
+    if (!arg || !arg.complete) return [];
+
+    return typeof arg.complete === "function"
+      ? arg.complete(tokens, this)
+      : arg.complete;
+  }
+}
@@ -0,0 +1,166 @@
+const LocalEchoController = require("./LocalEchoController").default;
+const { VirtualTerminal } = require("./VirtualTerminal");
+const { Shell, parseArgs } = require("./Shell");
+
+/**
+ * Creates a shell on a virtual terminal
+ */
+function setup(options = {}) {
+  const term = new VirtualTerminal({ cols: 80, rows: 20 });
+  const controller = new LocalEchoController(term);
+  const shell = new Shell(controller, options);
+  return { term, controller, shell };
+}
+
+/**
+ * Types the given commands, one at a time, waiting for each to complete
+ */
+function typeCommands(term, commands) {
+  return commands.reduce(
+    (promise, command) =>
+      promise.then(() => term.typeKeys(`${command}<Enter>`).settle()),
+    Promise.resolve()
+  );
+}
+
+/**
+ * Test splitting command lines into arguments
+ */
+test("parseArgs()", () => {
+  expect(parseArgs("echo 'a b' c\\ d \"e\" # note")).toEqual([
+    "echo",
+    "a b",
+    "c d",
+    "e"
+  ]);
+  expect(parseArgs("")).toEqual([]);
+  expect(() => parseArgs("ls | wc")).toThrow("Unsupported operator: |");
+});
+
+/**
+ * Test running commands, including unknown and failing ones
+ */
+test("run()", () => {
+  const { term, shell } = setup();
+  shell.registerCommand("echo", {
+    description: "Print the arguments",
+    handler: args => args.join(" ")
+  });
+  shell.registerCommand("fail", {
+    handler: () => Promise.reject(new Error("it broke"))
+  });
+  const done = shell.run();
+
+  return typeCommands(term, ["echo 'a  b' c", "nope", "fail"])
+    .then(() => {
+      expect(term.screenText()).toEqual(
+        [
+          "$ echo 'a  b' c",
+          "a  b c",
+          "$ nope",
+          "nope: command not found",
+          "$ fail",
+          "fail: it broke",
+          "$"
+        ].join("\n")
+      );
+
+      shell.stop();
+      return done;
+    })
+    .then(() => {
+      // The input is no longer read
+      const text = term.screenText();
+      term.typeKeys("echo<Enter>");
+      expect(term.screenText()).toEqual(text);
+    });
+});
+
+/**
+ * Test the built-in commands
+ */
+test("built-ins", () => {
+  const { term, shell } = setup({ prompt: () => "> " });
+  shell.registerCommand("greet", {
+    description: "Say hello",
+    args: [{ name: "<name>", description: "Who to greet" }],
+    handler: args => `hello ${args[0]}`
+  });
+  shell.run();
+
+  return typeCommands(term, ["help", "help greet", "history"]).then(() => {
+    expect(term.screenText()).toEqual(
+      [
+        "> help",
+        "Available commands:",
+        "  clear    Clear the screen",
+        "  greet    Say hello",
+        "  help     Show the available commands, or the usage of a command",
+        "  history  Show the command history",
+        "> help greet",
+        "Usage: greet <name>",
+        "Say hello",
+        "  <name>  Who to greet",
+        "> history",
+        "  1  help",
+        "  2  help greet",
+        "  3  history",
+        ">"
+      ].join("\n")
+    );
+
+    return typeCommands(term, ["clear"]).then(() =>
+      expect(term.screenText()).toEqual(">")
+    );
+  });
+});
+
+/**
+ * Test completing the command names and arguments
+ */
+test("auto-complete", () => {
+  const { term, shell } = setup({ builtins: false });
+  shell.registerCommand("checkout", {
+    args: [{ name: "<branches...>", complete: ["main", "master"] }],
+    handler: () => {}
+  });
+  shell.registerCommand("commit", () => {});
+  shell.run();
+
+  term.typeKeys("ch<Tab>");
+  return term
+    .settle()
+    .then(() => {
+      expect(term.screenText()).toEqual("$ checkout");
+      term.typeKeys("mai<Tab>");
+      return term.settle();
+    })
+    .then(() => {
+      term.typeKeys("mas<Tab>");
+      return term.settle();
+    })
+    .then(() => {
+      expect(term.screenText()).toEqual("$ checkout main master");
+    });
+});
+
+/**
+ * Test interrupting a running command with Ctrl+C
+ */
+test("interrupting", () => {
+  const { term, shell } = setup();
+  let aborted = false;
+  shell.registerCommand("sleep", (args, { signal }) => {
+    signal.addEventListener("abort", () => (aborted = true));
+    return new Promise(() => {});
+  });
+  shell.run();
+
+  return typeCommands(term, ["sleep"]).then(() => {
+    term.typeKeys("<C-c>");
+    return term.settle().then(() => {
+      expect(aborted).toBe(true);
+      expect(term.screenText()).toEqual("$ sleep\n^C\n$");
+    });
+  });
+});
@@ -0,0 +1,341 @@
+/**
+ * The shell operators, longest first
+ */
+const OPERATORS = [
+  "&>>",
+  "<<<",
+  "<<-",
+  "&&",
+  "||",
+  ";;",
+  "|&",
+  "&>",
+  "<<",
+  ">>",
+  ">&",
+  "<&",
+  ">|",
+  "&",
+  ";",
+  "|",
+  "<",
+  ">",
+  "(",
+  ")"
+];
+
+/**
+ * The operators after which the command continues on the next line
+ */
+const CONTINUATION_OPERATORS = ["&&", "||", "|", "|&"];
+
+/**
+ * The operators that redirect to (or from) the word that follows them
+ */
+const REDIRECTIONS = ["&>>", "<<<", "&>", ">>", ">&", "<&", ">|", "<", ">"];
+
+/**
+ * The reserved words that open a compound command, along with the one that
+ * closes it
+ */
+const OPENING_KEYWORDS = {
+  if: "fi",
+  case: "esac",
+  for: "done",
+  select: "done",
+  while: "done",
+  until: "done",
+  "{": "}"
+};
+
+/**
+ * The reserved words after which a command is expected
+ */
+const COMMAND_KEYWORDS = [
+  "if",
+  "then",
+  "elif",
+  "else",
+  "while",
+  "until",
+  "do",
+  "{",
+  "!",
+  "time"
+];
+
+/**
+ * Splits shell input into tokens, keeping track of the constructs that are
+ * still open at its end
+ *
+ * The lexer understands single, double and ANSI-C (`$'...'`) quotes,
+ * backslash escapes and line continuations, command (`$(...)`, backticks),
+ * arithmetic, parameter and process substitutions, comments, here-documents
+ * and the compound commands (subshells, `{ ... }` groups, `if`, `case`,
+ * `for`, `while`, `until` and `select`), including function bodies.
+ *
+ * Returns an object with:
+ * - `tokens`: The `{ type, value, text, start, end }` tokens, where `type` is
+ *   `"word"`, `"operator"` or `"comment"`, `text` is the input they span and
+ *   `value` is the text of words without their quotes and escapes (any
+ *   substitutions are kept as they are). The last word has `open` set if it
+ *   ends in an unterminated quote or substitution.
+ * - `incomplete`: Whether the input continues on the next line, because of
+ *   open quotes, substitutions, compound commands or here-documents, a
+ *   trailing backslash or a trailing `|`, `&&` or `||` operator
+ * - `depth`: The number of constructs that are still open
+ * - `trailingSpace`: Whether the input ends with unquoted whitespace
+ */
+export function lexShell(input) {
+  const tokens = [];
+  const compound = [];
+  const nest = [];
+  const heredocs = [];
+  let word = null;
+  let commandPosition = true;
+  let expect = null;
+  let heredocOpen = false;
+  let escaped = false;
+  let trailingSpace = false;
+  let i = 0;
+
+  // Add text to the current word, with the given unquoted value (or as-is
+  // inside substitutions)
+  const add = (text, value = text) => {
+    if (word == null) word = { type: "word", value: "", start: i };
+    const raw = nest.some(context => context.raw);
+    word.value += raw ? text : value;
+  };
+
+  const addChar = () => {
+    add(input[i]);
+    i++;
+  };
+
+  const finishWord = () => {
+    if (word == null) return;
+    word.end = i;
+    word.text = input.substring(word.start, i);
+    tokens.push(word);
+
+    if (expect != null) {
+      // The word is the target of a redirection or a here-document, or the
+      // name of a function (whose body is expected next)
+      if (expect.heredoc) {
+        heredocs.push({ delimiter: word.value, strip: expect.strip });
+      }
+      if (expect.functionName) commandPosition = true;
+      expect = null;
+    } else if (commandPosition && word.text === "function") {
+      expect = { functionName: true };
+      commandPosition = false;
+    } else if (commandPosition && word.text === word.value) {
+      const name = word.value;
+      if (OPENING_KEYWORDS.hasOwnProperty(name)) {
+        compound.push(OPENING_KEYWORDS[name]);
+      } else if (compound[compound.length - 1] === name) {
+        compound.pop();
+      }
+      commandPosition = COMMAND_KEYWORDS.indexOf(name) !== -1;
+    } else {
+      commandPosition = false;
+    }
+    word = null;
+  };
+
+  // Skip the bodies of the pending here-documents, that start on the line
+  // after their operator
+  const readHeredocs = () => {
+    heredocs.splice(0).forEach(({ delimiter, strip }) => {
+      while (!heredocOpen) {
+        const end = input.indexOf("\n", i);
+        const line = input.substring(i, end === -1 ? input.length : end);
+        i = end === -1 ? input.length : end + 1;
+        if ((strip ? line.replace(/^\t+/, "") : line) === delimiter) return;
+        if (end === -1) heredocOpen = true;
+      }
+    });
+  };
+
+  // Open a quote or a substitution at the current offset, if there is one
+  const openNested = () => {
+    const top = nest[nest.length - 1];
+    const twoChars = input.substr(i, 2);
+    let context = null;
+    let length = 1;
+
+    if (twoChars === "$(") {
+      context = { type: "command", raw: true };
+      length = 2;
+    } else if (twoChars === "${") {
+      context = { type: "parameter", raw: true };
+      length = 2;
+    } else if (input[i] === "`") {
+      context = { type: "backtick", raw: true };
+    } else if (top && top.type === "double") {
+      return false;
+    } else if (twoChars === "$'") {
+      context = { type: "ansi" };
+      length = 2;
+    } else if (input[i] === "'") {
+      context = { type: "single" };
+    } else if (input[i] === '"') {
+      context = { type: "double" };
+    } else if (top && input[i] === "(") {
+      context = { type: "paren", raw: true };
+    } else {
+      return false;
+    }
+
+    const text = input.substr(i, length);
+    add(text, context.raw ? text : "");
+    nest.push(context);
+    i += length;
+    return true;
+  };
+
+  // Close the innermost quote or substitution
+  const closeNested = length => {
+    const text = input.substr(i, length);
+    add(text, "");
+    nest.pop();
+    i += length;
+  };
+
+  while (i < input.length) {
+    const chr = input[i];
+    const top = nest[nest.length - 1];
+
+    // Inside quotes and substitutions
+    if (top != null) {
+      if (top.type === "single") {
+        if (chr === "'") closeNested(1);
+        else addChar();
+      } else if (chr === "\\" && top.type !== "single") {
+        const next = input.charAt(i + 1);
+        const special =
+          top.type !== "double" || "$`\"\\\n".indexOf(next) !== -1;
+        add(chr + next, special ? (next === "\n" ? "" : next) : chr + next);
+        i += 2;
+      } else if (
+        (chr === "'" && top.type === "ansi") ||
+        (chr === '"' && top.type === "double") ||
+        (chr === "`" && top.type === "backtick") ||
+        (chr === ")" && (top.type === "command" || top.type === "paren")) ||
+        (chr === "}" && top.type === "parameter")
+      ) {
+        closeNested(1);
+      } else if (top.type === "ansi" || !openNested()) {
+        addChar();
+      }
+      continue;
+    }
+
+    if (chr === " " || chr === "\t" || chr === "\n") {
+      finishWord();
+      i++;
+      trailingSpace = true;
+      if (chr === "\n") {
+        if (expect == null || !expect.heredoc) commandPosition = true;
+        readHeredocs();
+      }
+      continue;
+    }
+    trailingSpace = false;
+
+    if (chr === "\\") {
+      if (i + 1 >= input.length) {
+        // The escaped character is on the next line, in the same word
+        add(chr, "");
+        escaped = true;
+        i++;
+        continue;
+      } else if (input[i + 1] !== "\n") {
+        add(input.substr(i, 2), input[i + 1]);
+      }
+      i += 2;
+      continue;
+    }
+
+    if (chr === "#" && word == null) {
+      const end = input.indexOf("\n", i);
+      const text = input.substring(i, end === -1 ? input.length : end);
+      tokens.push({
+        type: "comment",
+        value: text,
+        text,
+        start: i,
+        end: i + text.length
+      });
+      i += text.length;
+      continue;
+    }
+
+    // Process substitutions are part of the word
+    if (/^[<>]\(/.test(input.substr(i, 2))) {
+      add(input.substr(i, 2));
+      nest.push({ type: "command", raw: true });
+      i += 2;
+      continue;
+    }
+
+    const op = OPERATORS.find(op => input.startsWith(op, i));
+    if (op != null) {
+      finishWord();
+      tokens.push({
+        type: "operator",
+        value: op,
+        text: op,
+        start: i,
+        end: i + op.length
+      });
+      i += op.length;
+
+      if (op === "<<" || op === "<<-") {
+        expect = { heredoc: true, strip: op === "<<-" };
+      } else if (REDIRECTIONS.indexOf(op) !== -1) {
+        expect = { heredoc: false };
+      } else {
+        if (op === "(") compound.push(")");
+        if (op === ")" && compound[compound.length - 1] === ")") {
+          compound.pop();
+        }
+        commandPosition = true;
+        expect = null;
+      }
+      continue;
+    }
+
+    if (!openNested()) addChar();
+  }
+
+  // An unterminated word is still a token
+  if (nest.length > 0) {
+    word.end = input.length;
+    word.text = input.substr(word.start);
+    word.open = true;
+    tokens.push(word);
+  } else {
+    finishWord();
+  }
+
+  const last = tokens.filter(token => token.type !== "comment").pop();
+  const continues =
+    last != null &&
+    last.type === "operator" &&
+    CONTINUATION_OPERATORS.indexOf(last.value) !== -1;
+
+  return {
+    tokens,
+    incomplete:
+      nest.length > 0 ||
+      compound.length > 0 ||
+      heredocs.length > 0 ||
+      heredocOpen ||
+      escaped ||
+      continues ||
+      (expect != null && expect.heredoc),
+    depth: nest.length + compound.length,
+    trailingSpace: trailingSpace && !escaped
+  };
+}
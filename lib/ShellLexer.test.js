@@ -0,0 +1,93 @@
+const { lexShell } = require("./ShellLexer");
+
+/**
+ * Returns the values of the tokens of the input
+ */
+function values(input) {
+  return lexShell(input).tokens.map(token => token.value);
+}
+
+/**
+ * Test splitting the input into tokens
+ */
+test("tokens", () => {
+  expect(values(`echo "it's" a\\ b 'c d'e`)).toEqual([
+    "echo",
+    "it's",
+    "a b",
+    "c de"
+  ]);
+  expect(values(`ls -l|grep "$(echo "x y")">out # done`)).toEqual([
+    "ls",
+    "-l",
+    "|",
+    "grep",
+    '$(echo "x y")',
+    ">",
+    "out",
+    "# done"
+  ]);
+  expect(values(`a $'\\'' \${x:-"}"} \`b c\` <(d e)`)).toEqual([
+    "a",
+    "'",
+    '${x:-"}"}',
+    "`b c`",
+    "<(d e)"
+  ]);
+
+  const [token] = lexShell(`"abc`).tokens;
+  expect(token).toMatchObject({ value: "abc", text: `"abc`, open: true });
+
+  // A trailing backslash starts a word that continues on the next line
+  const last = lexShell(`echo \\`).tokens.pop();
+  expect(last).toMatchObject({ value: "", text: "\\", start: 5, end: 6 });
+});
+
+/**
+ * Test detecting the constructs left open
+ */
+test("incomplete", () => {
+  const incomplete = input => lexShell(input).incomplete;
+
+  expect(incomplete(`echo "it's"`)).toEqual(false);
+  expect(incomplete(`echo \\"`)).toEqual(false);
+  expect(incomplete(`echo "\\"`)).toEqual(true);
+  expect(incomplete(`echo $(ls`)).toEqual(true);
+  expect(incomplete("echo `ls")).toEqual(true);
+  expect(incomplete(`echo $((1 + (2))`)).toEqual(true);
+  expect(incomplete(`echo $((1 + (2)))`)).toEqual(false);
+  expect(incomplete(`ls | # comment`)).toEqual(true);
+  expect(incomplete(`ls \\`)).toEqual(true);
+
+  // Compound commands
+  expect(incomplete(`{ echo a;`)).toEqual(true);
+  expect(incomplete(`{ echo a; }`)).toEqual(false);
+  expect(incomplete(`echo {a,b} }`)).toEqual(false);
+  expect(incomplete(`if true; then`)).toEqual(true);
+  expect(incomplete(`if true; then echo fi`)).toEqual(true);
+  expect(incomplete(`if true; then echo; fi`)).toEqual(false);
+  expect(incomplete(`for x in a b\ndo echo $x\ndone`)).toEqual(false);
+  expect(incomplete(`while true; do (ls`)).toEqual(true);
+  expect(incomplete(`case $x in a) echo;;`)).toEqual(true);
+  expect(incomplete(`case $x in a) echo;; esac`)).toEqual(false);
+  expect(incomplete(`function f {`)).toEqual(true);
+  expect(incomplete(`function f { echo; }`)).toEqual(false);
+  expect(incomplete(`f() {`)).toEqual(true);
+  expect(incomplete(`echo function {`)).toEqual(false);
+
+  // Here-documents
+  expect(incomplete(`cat <<EOF`)).toEqual(true);
+  expect(incomplete(`cat <<EOF\nif (\n`)).toEqual(true);
+  expect(incomplete(`cat <<'EOF'\n$(\nEOF`)).toEqual(false);
+  expect(incomplete(`cat <<-EOF | wc\n\tx\n\tEOF\n`)).toEqual(false);
+});
+
+/**
+ * Test the other properties of the result
+ */
+test("depth and trailing space", () => {
+  expect(lexShell(`if true; then (echo "`).depth).toEqual(3);
+  expect(lexShell(`ls `).trailingSpace).toEqual(true);
+  expect(lexShell(`ls\\ `).trailingSpace).toEqual(false);
+  expect(lexShell(`ls "a `).trailingSpace).toEqual(false);
+});
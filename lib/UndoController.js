@@ -0,0 +1,65 @@
+/**
+ * The undo controller keeps the states of the input before each edit, so
+ * that they can be restored (and re-applied) later on.
+ *
+ * Consecutive edits of the "insert" type are grouped into a single step,
+ * until the group is explicitly broken (e.g. when the cursor moves).
+ */
+export class UndoController {
+  constructor(size = 100) {
+    this.size = size;
+    this.reset();
+  }
+
+  /**
+   * Forget all the undo and redo steps
+   */
+  reset() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastType = null;
+  }
+
+  /**
+   * Record the state of the input before an edit of the given type
+   */
+  record(state, type = "edit") {
+    this.redoStack = [];
+    if (type === "insert" && this.lastType === "insert") return;
+    this.lastType = type;
+
+    this.undoStack.push(state);
+    if (this.undoStack.length > this.size) {
+      this.undoStack.splice(0, this.undoStack.length - this.size);
+    }
+  }
+
+  /**
+   * Start a new group, so that the next insert is a separate step
+   */
+  breakGroup() {
+    this.lastType = null;
+  }
+
+  /**
+   * Returns the state to restore in order to undo the last step, or
+   * undefined if there is nothing to undo
+   */
+  undo(current) {
+    const state = this.undoStack.pop();
+    if (state) this.redoStack.push(current);
+    this.lastType = null;
+    return state;
+  }
+
+  /**
+   * Returns the state to restore in order to redo the last undone step, or
+   * undefined if there is nothing to redo
+   */
+  redo(current) {
+    const state = this.redoStack.pop();
+    if (state) this.undoStack.push(current);
+    this.lastType = null;
+    return state;
+  }
+}
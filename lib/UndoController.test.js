@@ -0,0 +1,51 @@
+const { UndoController } = require("./UndoController");
+
+/**
+ * Test grouping consecutive inserts into a single step
+ */
+test("record()", () => {
+  const undo = new UndoController();
+  undo.record("", "insert");
+  undo.record("a", "insert");
+  undo.record("ab", "edit");
+  expect(undo.undo("a")).toEqual("ab");
+  expect(undo.undo("ab")).toEqual("");
+  expect(undo.undo("")).toBeUndefined();
+
+  undo.record("", "insert");
+  undo.breakGroup();
+  undo.record("a", "insert");
+  expect(undo.undoStack).toEqual(["", "a"]);
+});
+
+/**
+ * Test redoing the undone steps, until a new edit is recorded
+ */
+test("redo()", () => {
+  const undo = new UndoController();
+  undo.record("a");
+  undo.record("ab");
+  expect(undo.undo("abc")).toEqual("ab");
+  expect(undo.undo("ab")).toEqual("a");
+  expect(undo.redo("a")).toEqual("ab");
+  expect(undo.redo("ab")).toEqual("abc");
+  expect(undo.redo("abc")).toBeUndefined();
+
+  undo.undo("abc");
+  undo.record("abd");
+  expect(undo.redo("abd")).toBeUndefined();
+
+  undo.reset();
+  expect(undo.undo("abd")).toBeUndefined();
+});
+
+/**
+ * Test the size limit
+ */
+test("size", () => {
+  const undo = new UndoController(2);
+  undo.record("a");
+  undo.record("b");
+  undo.record("c");
+  expect(undo.undoStack).toEqual(["b", "c"]);
+});
@@ -0,0 +1,204 @@
+import { escapeSequenceLength } from "./Ansi";
+
+/**
+ * Zero-width (combining and formatting) characters, as in the wcwidth
+ * implementation used by xterm.js
+ */
+const COMBINING = [
+  [0x0300, 0x036f], [0x0483, 0x0486], [0x0488, 0x0489], [0x0591, 0x05bd],
+  [0x05bf, 0x05bf], [0x05c1, 0x05c2], [0x05c4, 0x05c5], [0x05c7, 0x05c7],
+  [0x0600, 0x0603], [0x0610, 0x0615], [0x064b, 0x065e], [0x0670, 0x0670],
+  [0x06d6, 0x06e4], [0x06e7, 0x06e8], [0x06ea, 0x06ed], [0x070f, 0x070f],
+  [0x0711, 0x0711], [0x0730, 0x074a], [0x07a6, 0x07b0], [0x07eb, 0x07f3],
+  [0x0901, 0x0902], [0x093c, 0x093c], [0x0941, 0x0948], [0x094d, 0x094d],
+  [0x0951, 0x0954], [0x0962, 0x0963], [0x0981, 0x0981], [0x09bc, 0x09bc],
+  [0x09c1, 0x09c4], [0x09cd, 0x09cd], [0x09e2, 0x09e3], [0x0a01, 0x0a02],
+  [0x0a3c, 0x0a3c], [0x0a41, 0x0a42], [0x0a47, 0x0a48], [0x0a4b, 0x0a4d],
+  [0x0a70, 0x0a71], [0x0a81, 0x0a82], [0x0abc, 0x0abc], [0x0ac1, 0x0ac5],
+  [0x0ac7, 0x0ac8], [0x0acd, 0x0acd], [0x0ae2, 0x0ae3], [0x0b01, 0x0b01],
+  [0x0b3c, 0x0b3c], [0x0b3f, 0x0b3f], [0x0b41, 0x0b43], [0x0b4d, 0x0b4d],
+  [0x0b56, 0x0b56], [0x0b82, 0x0b82], [0x0bc0, 0x0bc0], [0x0bcd, 0x0bcd],
+  [0x0c3e, 0x0c40], [0x0c46, 0x0c48], [0x0c4a, 0x0c4d], [0x0c55, 0x0c56],
+  [0x0cbc, 0x0cbc], [0x0cbf, 0x0cbf], [0x0cc6, 0x0cc6], [0x0ccc, 0x0ccd],
+  [0x0ce2, 0x0ce3], [0x0d41, 0x0d43], [0x0d4d, 0x0d4d], [0x0dca, 0x0dca],
+  [0x0dd2, 0x0dd4], [0x0dd6, 0x0dd6], [0x0e31, 0x0e31], [0x0e34, 0x0e3a],
+  [0x0e47, 0x0e4e], [0x0eb1, 0x0eb1], [0x0eb4, 0x0eb9], [0x0ebb, 0x0ebc],
+  [0x0ec8, 0x0ecd], [0x0f18, 0x0f19], [0x0f35, 0x0f35], [0x0f37, 0x0f37],
+  [0x0f39, 0x0f39], [0x0f71, 0x0f7e], [0x0f80, 0x0f84], [0x0f86, 0x0f87],
+  [0x0f90, 0x0f97], [0x0f99, 0x0fbc], [0x0fc6, 0x0fc6], [0x102d, 0x1030],
+  [0x1032, 0x1032], [0x1036, 0x1037], [0x1039, 0x1039], [0x1058, 0x1059],
+  [0x1160, 0x11ff], [0x135f, 0x135f], [0x1712, 0x1714], [0x1732, 0x1734],
+  [0x1752, 0x1753], [0x1772, 0x1773], [0x17b4, 0x17b5], [0x17b7, 0x17bd],
+  [0x17c6, 0x17c6], [0x17c9, 0x17d3], [0x17dd, 0x17dd], [0x180b, 0x180d],
+  [0x18a9, 0x18a9], [0x1920, 0x1922], [0x1927, 0x1928], [0x1932, 0x1932],
+  [0x1939, 0x193b], [0x1a17, 0x1a18], [0x1b00, 0x1b03], [0x1b34, 0x1b34],
+  [0x1b36, 0x1b3a], [0x1b3c, 0x1b3c], [0x1b42, 0x1b42], [0x1b6b, 0x1b73],
+  [0x1dc0, 0x1dca], [0x1dfe, 0x1dff], [0x200b, 0x200f], [0x202a, 0x202e],
+  [0x2060, 0x2063], [0x206a, 0x206f], [0x20d0, 0x20ef], [0x302a, 0x302f],
+  [0x3099, 0x309a], [0xa806, 0xa806], [0xa80b, 0xa80b], [0xa825, 0xa826],
+  [0xfb1e, 0xfb1e], [0xfe00, 0xfe0f], [0xfe20, 0xfe23], [0xfeff, 0xfeff],
+  [0xfff9, 0xfffb], [0x10a01, 0x10a03], [0x10a05, 0x10a06],
+  [0x10a0c, 0x10a0f], [0x10a38, 0x10a3a], [0x10a3f, 0x10a3f],
+  [0x1d167, 0x1d169], [0x1d173, 0x1d182], [0x1d185, 0x1d18b],
+  [0x1d1aa, 0x1d1ad], [0x1d242, 0x1d244], [0x1f3fb, 0x1f3ff],
+  [0xe0001, 0xe0001], [0xe0020, 0xe007f], [0xe0100, 0xe01ef]
+];
+
+/**
+ * Wide (two-column) characters: East Asian Wide and Fullwidth characters,
+ * as well as the emoji with default emoji presentation
+ */
+const WIDE = [
+  [0x1100, 0x115f], [0x231a, 0x231b], [0x2329, 0x232a], [0x23e9, 0x23ec],
+  [0x23f0, 0x23f0], [0x23f3, 0x23f3], [0x25fd, 0x25fe], [0x2614, 0x2615],
+  [0x2648, 0x2653], [0x267f, 0x267f], [0x2693, 0x2693], [0x26a1, 0x26a1],
+  [0x26aa, 0x26ab], [0x26bd, 0x26be], [0x26c4, 0x26c5], [0x26ce, 0x26ce],
+  [0x26d4, 0x26d4], [0x26ea, 0x26ea], [0x26f2, 0x26f3], [0x26f5, 0x26f5],
+  [0x26fa, 0x26fa], [0x26fd, 0x26fd], [0x2705, 0x2705], [0x270a, 0x270b],
+  [0x2728, 0x2728], [0x274c, 0x274c], [0x274e, 0x274e], [0x2753, 0x2755],
+  [0x2757, 0x2757], [0x2795, 0x2797], [0x27b0, 0x27b0], [0x27bf, 0x27bf],
+  [0x2b1b, 0x2b1c], [0x2b50, 0x2b50], [0x2b55, 0x2b55], [0x2e80, 0x303e],
+  [0x3040, 0xa4cf], [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe10, 0xfe19],
+  [0xfe30, 0xfe6f], [0xff00, 0xff60], [0xffe0, 0xffe6], [0x1f004, 0x1f004],
+  [0x1f0cf, 0x1f0cf], [0x1f18e, 0x1f18e], [0x1f191, 0x1f19a],
+  [0x1f200, 0x1f202], [0x1f210, 0x1f23b], [0x1f240, 0x1f248],
+  [0x1f250, 0x1f251], [0x1f300, 0x1f64f], [0x1f680, 0x1f6ff],
+  [0x1f900, 0x1f9ff], [0x1fa70, 0x1faff], [0x20000, 0x2fffd],
+  [0x30000, 0x3fffd]
+];
+
+/**
+ * Checks if the code point is in one of the given (sorted) ranges
+ */
+function inRanges(code, ranges) {
+  let min = 0;
+  let max = ranges.length - 1;
+  if (code < ranges[0][0] || code > ranges[max][1]) return false;
+
+  while (max >= min) {
+    const mid = (min + max) >> 1;
+    if (code > ranges[mid][1]) {
+      min = mid + 1;
+    } else if (code < ranges[mid][0]) {
+      max = mid - 1;
+    } else {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Returns the number of terminal columns the given code point occupies
+ */
+export function charWidth(code) {
+  if (code === 0) return 0;
+  if (code < 32 || (code >= 0x7f && code < 0xa0)) return 0;
+  if (inRanges(code, COMBINING)) return 0;
+  if (inRanges(code, WIDE)) return 2;
+  return 1;
+}
+
+/**
+ * Returns the number of terminal columns the given string occupies,
+ * ignoring any escape sequences
+ */
+export function stringWidth(input) {
+  let width = 0;
+  for (let i = 0; i < input.length; ) {
+    const esc = escapeSequenceLength(input, i);
+    if (esc > 0) {
+      i += esc;
+      continue;
+    }
+
+    const code = input.codePointAt(i);
+    width += charWidth(code);
+    i += code > 0xffff ? 2 : 1;
+  }
+  return width;
+}
+
+/**
+ * Returns the longest prefix of the (plain text) input that fits in the
+ * given number of columns
+ */
+export function truncateToWidth(input, width) {
+  let used = 0;
+  for (let i = 0; i < input.length; ) {
+    const code = input.codePointAt(i);
+    used += charWidth(code);
+    if (used > width) return input.substr(0, i);
+    i += code > 0xffff ? 2 : 1;
+  }
+  return input;
+}
+
+/**
+ * Checks if the code point extends the grapheme cluster before it
+ */
+function isExtending(code) {
+  return code === 0x200d || (code >= 32 && charWidth(code) === 0);
+}
+
+/**
+ * Checks if the code point is a regional indicator (flag) symbol
+ */
+function isRegionalIndicator(code) {
+  return code >= 0x1f1e6 && code <= 0x1f1ff;
+}
+
+/**
+ * Returns the offsets where the grapheme clusters of the input start,
+ * followed by the length of the input
+ *
+ * A grapheme cluster is what the user perceives as a single character,
+ * such as a surrogate pair, a letter with combining accents, an emoji with
+ * a skin tone modifier, a ZWJ emoji sequence or a flag.
+ */
+export function graphemeBoundaries(input) {
+  const boundaries = [];
+  let prev = null;
+  let regionalCount = 0;
+
+  for (let i = 0; i < input.length; ) {
+    const code = input.codePointAt(i);
+    let boundary = true;
+
+    if (prev === 0x0d && code === 0x0a) {
+      boundary = false;
+    } else if (prev === 0x200d || (prev !== null && isExtending(code))) {
+      // Combining marks and ZWJ sequences extend the previous cluster,
+      // unless it is a line break
+      boundary = prev === 0x0a || prev === 0x0d;
+    } else if (isRegionalIndicator(code) && regionalCount % 2 === 1) {
+      boundary = false;
+    }
+
+    regionalCount = isRegionalIndicator(code) ? regionalCount + 1 : 0;
+    if (boundary) boundaries.push(i);
+    prev = code;
+    i += code > 0xffff ? 2 : 1;
+  }
+
+  boundaries.push(input.length);
+  return boundaries;
+}
+
+/**
+ * Returns the offset of the grapheme cluster boundary before `offset`
+ */
+export function prevGraphemeOffset(input, offset) {
+  const found = graphemeBoundaries(input)
+    .reverse()
+    .find(x => x < offset);
+  return found == null ? 0 : found;
+}
+
+/**
+ * Returns the offset of the grapheme cluster boundary after `offset`
+ */
+export function nextGraphemeOffset(input, offset) {
+  const found = graphemeBoundaries(input).find(x => x > offset);
+  return found == null ? input.length : found;
+}
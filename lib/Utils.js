@@ -1,12 +1,29 @@
-import { parse } from "shell-quote";
+import { escapeSequenceLength } from "./Ansi";
+import { lexShell } from "./ShellLexer";
+import { charWidth } from "./Unicode";
+
+/**
+ * The characters that words consist of: alphanumerics and the letters
+ * (and combining marks) of the most common non-latin scripts
+ */
+export const WORD_CHARS =
+  "0-9A-Za-z_\u00AA\u00B5\u00BA\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u1FFF" +
+  "\u2C00-\u2DFF\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7AF" +
+  "\uF900-\uFAFF\uFF10-\uFF19\uFF21-\uFF3A\uFF41-\uFF5A";
 
 /**
  * Detects all the word boundaries on the given input
+ *
+ * Words are the matches of the given global expression, by default
+ * sequences of alphanumeric characters.
  */
-export function wordBoundaries(input, leftSide = true) {
+export function wordBoundaries(
+  input,
+  leftSide = true,
+  rx = new RegExp(`[${WORD_CHARS}]+`, "g")
+) {
   let match;
   const words = [];
-  const rx = /\w+/g;
 
   while ((match = rx.exec(input))) {
     if (leftSide) {
@@ -23,14 +40,14 @@ export function wordBoundaries(input, leftSide = true) {
  * The closest left (or right) word boundary of the given input at the
  * given offset.
  */
-export function closestLeftBoundary(input, offset) {
-  const found = wordBoundaries(input, true)
+export function closestLeftBoundary(input, offset, rx) {
+  const found = wordBoundaries(input, true, rx)
     .reverse()
     .find(x => x < offset);
   return found == null ? 0 : found;
 }
-export function closestRightBoundary(input, offset) {
-  const found = wordBoundaries(input, false).find(x => x > offset);
+export function closestRightBoundary(input, offset, rx) {
+  const found = wordBoundaries(input, false, rx).find(x => x > offset);
   return found == null ? input.length : found;
 }
 
@@ -39,23 +56,39 @@ export function closestRightBoundary(input, offset) {
  *
  * This function is not optimized and practically emulates via brute-force
  * the navigation on the terminal, wrapping when they reach the column width.
+ *
+ * Just like in xterm.js, wide characters occupy two columns (wrapping as a
+ * whole if they don't fit on the current line) and combining characters
+ * occupy none. When a line is completely filled, the column is `maxCols`
+ * until the next character wraps to the next line.
+ *
+ * Escape sequences (such as the colors of a prompt) are not visible, so they
+ * occupy no columns either.
  */
 export function offsetToColRow(input, offset, maxCols) {
   let row = 0,
     col = 0;
 
-  for (let i = 0; i < offset; ++i) {
-    const chr = input.charAt(i);
-    if (chr == "\n") {
+  for (let i = 0; i < offset; ) {
+    const esc = escapeSequenceLength(input, i);
+    if (esc > 0) {
+      i += esc;
+      continue;
+    }
+
+    const code = input.codePointAt(i);
+    if (code == 0x0a) {
       col = 0;
       row += 1;
     } else {
-      col += 1;
-      if (col > maxCols) {
+      const width = charWidth(code);
+      if (width > 0 && col + width > maxCols) {
         col = 0;
         row += 1;
       }
+      col += width;
     }
+    i += code > 0xffff ? 2 : 1;
   }
 
   return { row, col };
@@ -72,80 +105,117 @@ export function countLines(input, maxCols) {
  * Checks if there is an incomplete input
  *
  * An incomplete input is considered:
- * - An input that contains unterminated single quotes
- * - An input that contains unterminated double quotes
+ * - An input that contains unterminated quotes (single, double or ANSI-C)
+ * - An input that contains unterminated substitutions (`$(`, `${` or "`")
  * - An input that ends with "\"
  * - An input that has an incomplete boolean shell expression (&& and ||)
  * - An incomplete pipe expression (|)
+ * - An unterminated compound command, such as a `{ ... }` group, a subshell
+ *   or an `if`, `case`, `for`, `while` or `until` block
+ * - A here-document (`<<EOF`) that is not terminated
  */
 export function isIncompleteInput(input) {
-  // Empty input is not incomplete
-  if (input.trim() == "") {
-    return false;
-  }
-
-  // Check for dangling single-quote strings
-  if ((input.match(/'/g) || []).length % 2 !== 0) {
-    return true;
-  }
-  // Check for dangling double-quote strings
-  if ((input.match(/"/g) || []).length % 2 !== 0) {
-    return true;
-  }
-  // Check for dangling boolean or pipe operations
-  if (
-    input
-      .split(/(\|\||\||&&)/g)
-      .pop()
-      .trim() == ""
-  ) {
-    return true;
-  }
-  // Check for tailing slash
-  if (input.endsWith("\\") && !input.endsWith("\\\\")) {
-    return true;
-  }
-
-  return false;
+  return lexShell(input).incomplete;
 }
 
 /**
  * Returns true if the expression ends on a tailing whitespace
  */
 export function hasTailingWhitespace(input) {
-  return input.match(/[^\\][ \t]$/m) != null;
+  return lexShell(input).trailingSpace;
 }
 
 /**
  * Returns the last expression in the given input
  */
 export function getLastToken(input) {
-  // Empty expressions
-  if (input.trim() === "") return "";
-  if (hasTailingWhitespace(input)) return "";
+  const { tokens, trailingSpace } = lexShell(input);
+  const last = tokens[tokens.length - 1];
+  if (!last || trailingSpace || last.type !== "word") return "";
+  return last.value;
+}
+
+/**
+ * Returns the last token of the given input as it was typed, with its
+ * quotes and escapes (`text`), along with its offset (`start`) and its
+ * `value`
+ *
+ * An input that ends with a space (or an operator) ends with an empty
+ * token.
+ */
+export function getLastTokenRange(input) {
+  const { tokens, trailingSpace } = lexShell(input);
+  const last = tokens[tokens.length - 1];
+  if (!last || trailingSpace || last.type !== "word") {
+    return { start: input.length, text: "", value: "" };
+  }
+  return { start: last.start, text: last.text, value: last.value };
+}
+
+/**
+ * Returns the value of the given text, if it is a single shell word, or
+ * null otherwise
+ */
+export function parseShellWord(text) {
+  if (text === "") return "";
+  const { tokens } = lexShell(text);
+  const word = tokens[0];
+  if (tokens.length !== 1 || word.type !== "word") return null;
+  return word.start === 0 && word.end === text.length ? word.value : null;
+}
 
-  // Last token
-  const tokens = parse(input);
-  return tokens.pop() || "";
+/**
+ * Quotes the given value so that the shell reads it back as a single word
+ *
+ * With a `quote` (`'` or `"`), the value is put in those quotes, that are
+ * closed unless `close` is false. Otherwise, the characters that are
+ * special to the shell are escaped with backslashes.
+ */
+export function quoteShellWord(value, quote = "", close = true) {
+  if (quote === "'") {
+    return "'" + value.replace(/'/g, "'\\''") + (close ? "'" : "");
+  }
+  if (quote === '"') {
+    return '"' + value.replace(/["\\$`]/g, "\\$&") + (close ? '"' : "");
+  }
+  return value.replace(/[\s'"\\$`|&;<>()]/g, "\\$&");
+}
+
+/**
+ * Returns the quote the given token (as typed) starts with, if any
+ */
+export function getTokenQuote(text) {
+  return text[0] === "'" || text[0] === '"' ? text[0] : "";
+}
+
+/**
+ * Returns the index of the token being completed, the tokens of the input
+ * and the expression that the candidates should start with
+ *
+ * The tokens are the values of the words, while the operators and the
+ * comments are given as `{ op }` and `{ comment }` objects.
+ */
+function getAutocompleteContext(input) {
+  const lexed = lexShell(input);
+  const tokens = lexed.tokens.map(token => {
+    if (token.type === "operator") return { op: token.value };
+    if (token.type === "comment") return { comment: token.value.substr(1) };
+    return token.value;
+  });
+
+  // Expressions with a dangling space (or operator) start a new token
+  const last = lexed.tokens[lexed.tokens.length - 1];
+  if (!last || lexed.trailingSpace || last.type !== "word") {
+    return { index: tokens.length, tokens, expr: "" };
+  }
+  return { index: tokens.length - 1, tokens, expr: last.value };
 }
 
 /**
  * Returns the auto-complete candidates for the given input
  */
 export function collectAutocompleteCandidates(callbacks, input) {
-  const tokens = parse(input);
-  let index = tokens.length - 1;
-  let expr = tokens[index] || "";
-
-  // Empty expressions
-  if (input.trim() === "") {
-    index = 0;
-    expr = "";
-  } else if (hasTailingWhitespace(input)) {
-    // Expressions with danging space
-    index += 1;
-    expr = "";
-  }
+  const { index, tokens, expr } = getAutocompleteContext(input);
 
   // Collect all auto-complete candidates from the callbacks
   const all = callbacks.reduce((candidates, { fn, args }) => {
@@ -158,9 +228,166 @@ export function collectAutocompleteCandidates(callbacks, input) {
   }, []);
 
   // Filter only the ones starting with the expression
-  return all.filter(txt => txt.startsWith(expr));
+  return filterCandidates(all, expr);
+}
+
+/**
+ * Checks if the value can be iterated with `for await`
+ */
+function isAsyncIterable(value) {
+  return (
+    value != null &&
+    typeof Symbol.asyncIterator === "symbol" &&
+    typeof value[Symbol.asyncIterator] === "function"
+  );
 }
 
+/**
+ * Runs a single auto-complete handler, resolving to its candidates
+ *
+ * The promise never rejects: errors are logged and, on timeout or when the
+ * request is aborted, it resolves to the candidates produced so far.
+ */
+function runAutocompleteHandler(callback, index, tokens, signal, timeout) {
+  const { fn, args } = callback;
+  const controller = new AbortController();
+  let candidates = [];
+
+  return new Promise(resolve => {
+    let timer = null;
+    const finish = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", cancel);
+      resolve(candidates);
+    };
+    const cancel = () => {
+      controller.abort();
+      finish();
+    };
+    const fail = e => {
+      if (!controller.signal.aborted) console.error("Auto-complete error:", e);
+      finish();
+    };
+
+    if (signal) {
+      if (signal.aborted) return cancel();
+      signal.addEventListener("abort", cancel);
+    }
+    const ms = callback.timeout != null ? callback.timeout : timeout;
+    if (ms > 0) timer = setTimeout(cancel, ms);
+
+    try {
+      const result = fn(index, tokens, ...args, controller.signal);
+      if (isAsyncIterable(result)) {
+        // Collect the candidates as they arrive, so the ones produced before
+        // a timeout are not lost
+        const iterator = result[Symbol.asyncIterator]();
+        const next = () =>
+          iterator.next().then(({ done, value }) => {
+            if (controller.signal.aborted) return;
+            if (done) return finish();
+            candidates = candidates.concat(value);
+            next();
+          }, fail);
+        controller.signal.addEventListener("abort", () => {
+          if (iterator.return) iterator.return().catch(() => {});
+        });
+        next();
+      } else {
+        Promise.resolve(result).then(value => {
+          if (controller.signal.aborted) return;
+          candidates = [].concat(value || []);
+          finish();
+        }, fail);
+      }
+    } catch (e) {
+      fail(e);
+    }
+  });
+}
+
+/**
+ * Returns a promise to the auto-complete candidates for the given input
+ *
+ * Unlike `collectAutocompleteCandidates`, the handlers may return a promise
+ * to their candidates or an async iterable of them. Each handler receives an
+ * `AbortSignal` as its last argument, that is aborted when the `signal`
+ * given here is aborted, or when the handler takes longer than its own
+ * `timeout` (or else the `timeout` given here) milliseconds.
+ */
+export function collectAutocompleteCandidatesAsync(
+  callbacks,
+  input,
+  { signal = null, timeout = 0 } = {}
+) {
+  const { index, tokens, expr } = getAutocompleteContext(input);
+  const pending = callbacks.map(callback =>
+    runAutocompleteHandler(callback, index, tokens, signal, timeout)
+  );
+
+  return Promise.all(pending).then(lists =>
+    filterCandidates([].concat(...lists), expr)
+  );
+}
+
+/**
+ * Returns the text that an auto-complete candidate inserts
+ */
+function getCandidateValue(candidate) {
+  return candidate != null && typeof candidate === "object"
+    ? candidate.value
+    : candidate;
+}
+
+/**
+ * Returns the candidates that start with the given expression, leaving out
+ * (and reporting) the invalid ones, that are neither strings nor objects
+ * with a string `value`
+ */
+function filterCandidates(candidates, expr) {
+  return candidates.filter(candidate => {
+    const value = getCandidateValue(candidate);
+    if (typeof value !== "string") {
+      console.error("Auto-complete error: invalid candidate", candidate);
+      return false;
+    }
+    return value.startsWith(expr);
+  });
+}
+
+/**
+ * Normalizes an auto-complete candidate, given either as a string or as an
+ * object with the `value` to insert and optionally the text to `display`,
+ * a `description`, the `group` it belongs to and the `suffix` to insert
+ * after it (a space by default)
+ */
+export function normalizeCandidate(candidate) {
+  if (typeof candidate === "string") candidate = { value: candidate };
+  return {
+    value: candidate.value,
+    display: candidate.display != null ? candidate.display : candidate.value,
+    description: candidate.description || "",
+    group: candidate.group || "",
+    suffix: candidate.suffix != null ? candidate.suffix : " "
+  };
+}
+
+/**
+ * Sorts the (normalized) candidates by value, keeping the ones of the same
+ * group together, in the order the groups first appear
+ */
+export function sortCandidates(candidates) {
+  const groups = [];
+  candidates.forEach(candidate => {
+    if (groups.indexOf(candidate.group) === -1) groups.push(candidate.group);
+  });
+
+  return candidates.slice().sort((a, b) => {
+    const group = groups.indexOf(a.group) - groups.indexOf(b.group);
+    if (group !== 0) return group;
+    return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+  });
+}
 
 export function getSharedFragment(fragment, candidates) {
 
@@ -3,10 +3,32 @@ const {
   closestLeftBoundary,
   closestRightBoundary,
   offsetToColRow,
+  countLines,
   isIncompleteInput,
+  getLastToken,
+  getLastTokenRange,
+  parseShellWord,
+  quoteShellWord,
   collectAutocompleteCandidates,
+  collectAutocompleteCandidatesAsync,
+  normalizeCandidate,
+  sortCandidates,
   getSharedFragment,
 } = require("./Utils");
+const {
+  charWidth,
+  stringWidth,
+  truncateToWidth,
+  graphemeBoundaries,
+  prevGraphemeOffset,
+  nextGraphemeOffset
+} = require("./Unicode");
+const {
+  escapeSequenceLength,
+  isolateLineStyles,
+  segmentsToAnsi,
+  stripAnsi
+} = require("./Ansi");
 
 /**
  * Test word boundary detection
@@ -14,6 +36,8 @@ const {
 test("wordBoundaries()", () => {
   expect(wordBoundaries("foo bar baz", true)).toEqual([0, 4, 8]);
   expect(wordBoundaries("foo bar baz", false)).toEqual([3, 7, 11]);
+  expect(wordBoundaries("foo-bar baz", true)).toEqual([0, 4, 8]);
+  expect(wordBoundaries("foo-bar baz", true, /\S+/g)).toEqual([0, 8]);
 });
 
 /**
@@ -58,7 +82,7 @@ test("offsetToColRow()", () => {
     offsetToColRow("test single line case that wraps", 26, colSize)
   ).toEqual({
     row: 1,
-    col: 0
+    col: 1
   });
 
   expect(offsetToColRow("test\nmulti\nline case\n", 4, colSize)).toEqual({
@@ -92,7 +116,7 @@ test("offsetToColRow()", () => {
     )
   ).toEqual({
     row: 1,
-    col: 0
+    col: 1
   });
   expect(
     offsetToColRow(
@@ -140,6 +164,49 @@ test("isIncompleteInput()", () => {
   expect(isIncompleteInput(`some 'same thing with single`)).toEqual(true);
   expect(isIncompleteInput(`some '`)).toEqual(true);
   expect(isIncompleteInput(`some '   `)).toEqual(true);
+
+  // Quotes within quotes, escaped quotes
+  expect(isIncompleteInput(`echo "it's"`)).toEqual(false);
+  expect(isIncompleteInput(`echo \\"quoted\\"`)).toEqual(false);
+  expect(isIncompleteInput(`echo "\\"`)).toEqual(true);
+
+  // Substitutions, compound commands and here-documents
+  expect(isIncompleteInput(`echo $(date`)).toEqual(true);
+  expect(isIncompleteInput(`if [ -f x ]; then`)).toEqual(true);
+  expect(isIncompleteInput(`cat <<EOF\nhello`)).toEqual(true);
+  expect(isIncompleteInput(`cat <<EOF\nhello\nEOF`)).toEqual(false);
+});
+
+/**
+ * Tests that getLastToken agrees with the tokens of the lexer
+ */
+test("getLastToken()", () => {
+  expect(getLastToken("")).toEqual("");
+  expect(getLastToken("ls ")).toEqual("");
+  expect(getLastToken("ls|")).toEqual("");
+  expect(getLastToken(`cat "my fi`)).toEqual("my fi");
+  expect(getLastToken(`cat my\\ fi`)).toEqual("my fi");
+  expect(getLastToken(`echo $(ls a`)).toEqual("$(ls a");
+  expect(getLastToken(`echo \\`)).toEqual("");
+  expect(getLastToken(`echo a\\`)).toEqual("a");
+});
+
+/**
+ * Tests finding the last token as typed, and quoting the completions
+ */
+test("getLastTokenRange()", () => {
+  expect(getLastTokenRange(`cat my\\ fi`)).toEqual({
+    start: 4,
+    text: "my\\ fi",
+    value: "my fi"
+  });
+  expect(getLastTokenRange("cat ")).toEqual({ start: 4, text: "", value: "" });
+
+  expect(quoteShellWord("my file's")).toEqual("my\\ file\\'s");
+  expect(quoteShellWord("my file's", "'")).toEqual("'my file'\\''s'");
+  expect(quoteShellWord('say "$x"', '"', false)).toEqual('"say \\"\\$x\\"');
+  expect(parseShellWord("'my fi")).toEqual("my fi");
+  expect(parseShellWord("my fi")).toBeNull();
 });
 
 /**
@@ -203,6 +270,91 @@ test("collectAutocompleteCandidates()", () => {
     "bcd"
   ]);
 
+  // Invalid candidates are reported and left out
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+  const invalidCb = () => [8080, null, { value: 1 }, { value: "8443" }];
+  const invalidList = [{ fn: invalidCb, args: [] }];
+  expect(collectAutocompleteCandidates(invalidList, "")).toEqual([
+    { value: "8443" }
+  ]);
+  expect(error).toHaveBeenCalledTimes(3);
+  error.mockRestore();
+});
+
+/**
+ * Tests the asynchronous auto-complete handlers, their timeout and
+ * cancellation
+ */
+test("collectAutocompleteCandidatesAsync()", () => {
+  const promiseCb = () => Promise.resolve(["ab", "abc", "b"]);
+  const iterableCb = () => {
+    const values = ["a", "ad"];
+    return {
+      [Symbol.asyncIterator]: () => ({
+        next: () =>
+          values.length
+            ? Promise.resolve({ done: false, value: values.shift() })
+            : new Promise(() => {})
+      })
+    };
+  };
+  let aborted = false;
+  const slowCb = (index, tokens, signal) => {
+    signal.addEventListener("abort", () => (aborted = true));
+    return new Promise(() => {});
+  };
+
+  const cbList = [
+    { fn: promiseCb, args: [] },
+    { fn: iterableCb, args: [], timeout: 20 },
+    { fn: slowCb, args: [] }
+  ];
+
+  const controller = new AbortController();
+  const cancelled = collectAutocompleteCandidatesAsync([cbList[2]], "a", {
+    signal: controller.signal
+  });
+  controller.abort();
+
+  return Promise.all([
+    collectAutocompleteCandidatesAsync(cbList, "a", { timeout: 40 }),
+    cancelled
+  ]).then(([candidates, none]) => {
+    expect(candidates).toEqual(["ab", "abc", "a", "ad"]);
+    expect(none).toEqual([]);
+    expect(aborted).toBe(true);
+  });
+});
+
+/**
+ * Tests the normalization and the ordering of rich candidates
+ */
+test("sortCandidates()", () => {
+  expect(normalizeCandidate("ls")).toEqual({
+    value: "ls",
+    display: "ls",
+    description: "",
+    group: "",
+    suffix: " "
+  });
+
+  const candidates = [
+    { value: "src/", suffix: "", group: "Files" },
+    { value: "--verbose", description: "Print more output", group: "Flags" },
+    { value: "lib/", suffix: "", group: "Files" },
+    { value: "--all", group: "Flags" }
+  ].map(normalizeCandidate);
+  expect(sortCandidates(candidates).map(c => c.value)).toEqual([
+    "lib/",
+    "src/",
+    "--all",
+    "--verbose"
+  ]);
+  const cbList = [{ fn: () => candidates, args: [] }];
+  expect(collectAutocompleteCandidates(cbList, "-")).toEqual([
+    candidates[1],
+    candidates[3]
+  ]);
 });
 
 
@@ -220,3 +372,138 @@ test('getSharedFragement', () => {
   expect(getSharedFragment('foo', [ 'foo-1', 'foo-' ])).toEqual('foo-');
 
 })
+
+/**
+ * Test offset to row/col de-composition with mixed-width input
+ */
+test("offsetToColRow() with unicode", () => {
+  const colSize = 10;
+
+  // Wide (CJK) characters occupy two columns
+  expect(offsetToColRow("日本語", 2, colSize)).toEqual({ row: 0, col: 4 });
+  // Surrogate pairs (emoji) occupy two columns and two offsets
+  expect(offsetToColRow("a😀b", 3, colSize)).toEqual({ row: 0, col: 3 });
+  // Combining marks occupy no columns
+  expect(offsetToColRow("e\u0301e\u0301", 4, colSize)).toEqual({
+    row: 0,
+    col: 2
+  });
+
+  // A wide character that does not fit wraps as a whole
+  const mixed = "abcdefghi日本語";
+  expect(offsetToColRow(mixed, 9, colSize)).toEqual({ row: 0, col: 9 });
+  expect(offsetToColRow(mixed, 10, colSize)).toEqual({ row: 1, col: 2 });
+  expect(offsetToColRow(mixed, 12, colSize)).toEqual({ row: 1, col: 6 });
+  expect(countLines(mixed, colSize)).toEqual(2);
+
+  // Wide characters filling lines exactly
+  const wide = "日本語日本語日本語日本語";
+  expect(offsetToColRow(wide, 5, colSize)).toEqual({ row: 0, col: 10 });
+  expect(offsetToColRow(wide, 6, colSize)).toEqual({ row: 1, col: 2 });
+  expect(offsetToColRow(wide, 12, colSize)).toEqual({ row: 2, col: 4 });
+  expect(countLines(wide, colSize)).toEqual(3);
+
+  // Emoji across wrapped lines
+  const emoji = "12345678😀😀x";
+  expect(offsetToColRow(emoji, 10, colSize)).toEqual({ row: 0, col: 10 });
+  expect(offsetToColRow(emoji, 12, colSize)).toEqual({ row: 1, col: 2 });
+  expect(offsetToColRow(emoji, 13, colSize)).toEqual({ row: 1, col: 3 });
+});
+
+/**
+ * Test character widths
+ */
+test("charWidth()", () => {
+  expect(charWidth("a".codePointAt(0))).toEqual(1);
+  expect(charWidth("日".codePointAt(0))).toEqual(2);
+  expect(charWidth("😀".codePointAt(0))).toEqual(2);
+  expect(charWidth(0x0301)).toEqual(0);
+  expect(charWidth(0x200d)).toEqual(0);
+  expect(stringWidth("a日😀e\u0301")).toEqual(6);
+  expect(truncateToWidth("a日😀e", 4)).toEqual("a日");
+  expect(truncateToWidth("a日😀e", 5)).toEqual("a日😀");
+  expect(truncateToWidth("abc", 5)).toEqual("abc");
+});
+
+/**
+ * Test grapheme cluster boundaries
+ */
+test("graphemeBoundaries()", () => {
+  expect(graphemeBoundaries("abc")).toEqual([0, 1, 2, 3]);
+  expect(graphemeBoundaries("a😀b")).toEqual([0, 1, 3, 4]);
+  expect(graphemeBoundaries("e\u0301x")).toEqual([0, 2, 3]);
+  // Skin tone modifiers and ZWJ sequences
+  expect(graphemeBoundaries("👍🏽!")).toEqual([0, 4, 5]);
+  expect(graphemeBoundaries("👩\u200d💻!")).toEqual([0, 5, 6]);
+  // Flags are pairs of regional indicators
+  expect(graphemeBoundaries("🇬🇷🇫🇷")).toEqual([0, 4, 8]);
+
+  expect(prevGraphemeOffset("a😀b", 3)).toEqual(1);
+  expect(nextGraphemeOffset("a😀b", 1)).toEqual(3);
+  expect(nextGraphemeOffset("a😀b", 4)).toEqual(4);
+  expect(prevGraphemeOffset("a😀b", 0)).toEqual(0);
+});
+
+/**
+ * Test word boundaries on non-latin input
+ */
+test("closestLeftBoundary() with unicode", () => {
+  expect(closestLeftBoundary("καλή μέρα", 9)).toEqual(5);
+  expect(closestRightBoundary("café au lait", 0)).toEqual(4);
+  expect(closestLeftBoundary("日本語 テスト", 7)).toEqual(4);
+});
+
+/**
+ * Test offset to row/col de-composition with styled prompts
+ */
+test("offsetToColRow() with escape sequences", () => {
+  const colSize = 10;
+  const prompt = "\x1b[32muser\x1b[0m $ ";
+
+  expect(offsetToColRow(prompt, prompt.length, colSize)).toEqual({
+    row: 0,
+    col: 7
+  });
+  expect(
+    offsetToColRow(prompt + "abcd", prompt.length + 4, colSize)
+  ).toEqual({
+    row: 1,
+    col: 1
+  });
+
+  // Hyperlinks (OSC 8) terminated by ST or BEL
+  const link = "\x1b]8;;http://example.com\x1b\\link\x1b]8;;\x07> ";
+  expect(offsetToColRow(link, link.length, colSize)).toEqual({
+    row: 0,
+    col: 6
+  });
+  expect(countLines(link + "12345", colSize)).toEqual(2);
+});
+
+/**
+ * Test escape sequence detection
+ */
+test("escapeSequenceLength()", () => {
+  expect(escapeSequenceLength("abc", 0)).toEqual(0);
+  expect(escapeSequenceLength("\x1b[1;32mx", 0)).toEqual(7);
+  expect(escapeSequenceLength("x\x1b[0m", 1)).toEqual(4);
+  expect(escapeSequenceLength("\x1b]0;title\x07x", 0)).toEqual(10);
+  expect(escapeSequenceLength("\x1b(Bx", 0)).toEqual(3);
+  expect(escapeSequenceLength("\x1b", 0)).toEqual(1);
+  expect(
+    stripAnsi("\x1b[1mbold\x1b[0m \x1b]8;;url\x1b\\link\x1b]8;;\x1b\\")
+  ).toEqual("bold link");
+});
+
+/**
+ * Test the styling of multi-line input
+ */
+test("isolateLineStyles()", () => {
+  expect(isolateLineStyles("a\nb")).toEqual("a\nb");
+  expect(isolateLineStyles("\x1b[33m'a\nb'\x1b[0m\nc")).toEqual(
+    "\x1b[33m'a\x1b[0m\n\x1b[33mb'\x1b[0m\nc"
+  );
+  expect(
+    segmentsToAnsi([{ text: "ls", style: "\x1b[1m" }, { text: " -l" }])
+  ).toEqual("\x1b[1mls\x1b[0m -l");
+});
@@ -0,0 +1,504 @@
+import {
+  graphemeBoundaries,
+  nextGraphemeOffset,
+  prevGraphemeOffset
+} from "./Unicode";
+import { WORD_CHARS } from "./Utils";
+
+/**
+ * Matches the characters that words consist of
+ */
+const WORD_CHAR = new RegExp(`^[${WORD_CHARS}]`);
+
+/**
+ * The classes of characters vi considers when moving between words:
+ * whitespace, keyword characters and any other punctuation (or symbols).
+ */
+function charClass(chr) {
+  if (chr === undefined || /\s/.test(chr)) return 0;
+  if (WORD_CHAR.test(chr)) return 1;
+  return 2;
+}
+
+/**
+ * Returns the class of the character at the given offset of the input
+ */
+function classAt(input, offset) {
+  const code = input.codePointAt(offset);
+  return charClass(code === undefined ? undefined : String.fromCodePoint(code));
+}
+
+/**
+ * Splits the input into its characters (grapheme clusters), returning
+ * their offsets (followed by the length of the input), their classes and
+ * the index of the one at the given offset
+ */
+function clustersAt(input, pos) {
+  const offsets = graphemeBoundaries(input);
+  const classes = offsets.slice(0, -1).map(offset => classAt(input, offset));
+  let index = 0;
+  while (index + 1 < offsets.length && offsets[index + 1] <= pos) index++;
+  return { offsets, classes, index };
+}
+
+/**
+ * Returns the offset of the next word start after `pos`
+ */
+function nextWordStart(input, pos) {
+  const { offsets, classes, index } = clustersAt(input, pos);
+  const count = classes.length;
+  const cls = index < count ? classes[index] : 0;
+  let i = index;
+  if (cls !== 0) {
+    while (i < count && classes[i] === cls) i++;
+  }
+  while (i < count && classes[i] === 0) i++;
+  return offsets[i];
+}
+
+/**
+ * Returns the offset of the previous word start before `pos`
+ */
+function prevWordStart(input, pos) {
+  const { offsets, classes, index } = clustersAt(input, pos);
+  let i = index - 1;
+  while (i > 0 && classes[i] === 0) i--;
+  const cls = classes[i];
+  while (i > 0 && classes[i - 1] === cls) i--;
+  return offsets[Math.max(i, 0)];
+}
+
+/**
+ * Returns the offset of the last character of the next word end after `pos`
+ */
+function nextWordEnd(input, pos) {
+  const { offsets, classes, index } = clustersAt(input, pos);
+  const count = classes.length;
+  let i = index + 1;
+  while (i < count && classes[i] === 0) i++;
+  const cls = classes[i];
+  while (i + 1 < count && classes[i + 1] === cls) i++;
+  return offsets[Math.max(0, Math.min(i, count - 1))];
+}
+
+/**
+ * The keys that act as motions, possibly after an operator
+ */
+const MOTIONS = "hlwbe0$fFtT";
+
+/**
+ * The vi editing mode
+ *
+ * In insert mode the keys are handled by the keymap as usual, while in
+ * normal mode they are interpreted as vi commands. All the edits are
+ * performed through the controller, re-using its input rendering.
+ */
+export class ViMode {
+  constructor(controller, indicators = {}) {
+    this.controller = controller;
+    this.indicators = Object.assign({ insert: "", normal: "" }, indicators);
+    this.register = "";
+    this.lastChange = null;
+    this.reset();
+  }
+
+  /**
+   * Start over in insert mode, as it happens on every new read
+   */
+  reset() {
+    this.mode = "insert";
+    this.recording = null;
+    this.replaying = false;
+    this.resetCommand();
+  }
+
+  /**
+   * Forget any partially typed command
+   */
+  resetCommand() {
+    this.count = "";
+    this.operator = null;
+    this.operatorCount = "";
+    this.pendingFind = null;
+    this.keys = [];
+  }
+
+  /**
+   * Returns the text to display before the prompt for the current mode
+   */
+  getIndicator() {
+    return this.indicators[this.mode] || "";
+  }
+
+  /**
+   * Switch to the given mode, updating the mode indicator
+   */
+  setMode(mode) {
+    const c = this.controller;
+    if (this.mode === mode) return;
+    this.mode = mode;
+    c.setInput(c._input);
+  }
+
+  /**
+   * Leave insert mode, completing the change that is being recorded
+   */
+  enterNormalMode() {
+    const c = this.controller;
+    if (this.recording && !this.replaying) {
+      this.lastChange = this.recording;
+    }
+    this.recording = null;
+    this.resetCommand();
+    this.setMode("normal");
+    c.setCursor(prevGraphemeOffset(c._input, c._cursor));
+  }
+
+  /**
+   * Enter insert mode at the given offset
+   */
+  enterInsertMode(offset) {
+    const c = this.controller;
+    this.setMode("insert");
+    c.setCursor(offset);
+  }
+
+  /**
+   * Handle a key from the terminal
+   *
+   * Returns true if the key was consumed, or false if it should be handled
+   * by the keymap.
+   */
+  handleKey(key) {
+    if (this.mode === "insert") {
+      if (this.recording) this.recording.push(key);
+      return false;
+    }
+
+    // Control keys and escape sequences, other than the arrows and redo, are
+    // left to the keymap
+    const arrows = {
+      "\x1b[D": "h",
+      "\x1b[C": "l",
+      "\x1b[A": "k",
+      "\x1b[B": "j"
+    };
+    const ord = key.charCodeAt(0);
+    if (arrows[key]) {
+      key = arrows[key];
+    } else if (key === "\x12") {
+      // CTRL+R
+      this.resetCommand();
+      this.controller.handleRedo();
+      this.clampCursor();
+      return true;
+    } else if (key === "\x1b") {
+      this.resetCommand();
+      return true;
+    } else if (ord < 32 || ord === 0x7f || ord === 0x1b) {
+      this.resetCommand();
+      return false;
+    }
+
+    this.keys.push(key);
+    this.handleCommandKey(key);
+    this.clampCursor();
+    return true;
+  }
+
+  /**
+   * Keep the cursor on a character, as vi does in normal mode
+   */
+  clampCursor() {
+    const c = this.controller;
+    if (this.mode === "normal" && c._cursor >= c._input.length) {
+      c.setCursor(prevGraphemeOffset(c._input, c._input.length));
+    }
+  }
+
+  /**
+   * Interpret a key in normal mode
+   */
+  handleCommandKey(key) {
+    const c = this.controller;
+
+    // Character argument of the find motions
+    if (this.pendingFind) {
+      const find = this.pendingFind;
+      this.pendingFind = null;
+      this.handleMotion(find, key);
+      return;
+    }
+
+    // Counts
+    if (/[1-9]/.test(key) || (key === "0" && this.count !== "")) {
+      this.count += key;
+      return;
+    }
+
+    if (MOTIONS.indexOf(key) !== -1) {
+      if ("fFtT".indexOf(key) !== -1) {
+        this.pendingFind = key;
+      } else {
+        this.handleMotion(key);
+      }
+      return;
+    }
+
+    const count = this.getCount();
+    switch (key) {
+      case "d":
+      case "c":
+      case "y":
+        if (this.operator === key) {
+          // Linewise operators (dd, cc, yy)
+          this.operator = null;
+          this.applyOperator(key, 0, c._input.length);
+        } else if (this.operator) {
+          this.resetCommand();
+        } else {
+          this.operator = key;
+          this.operatorCount = this.count;
+          this.count = "";
+        }
+        return;
+
+      case "D":
+      case "C":
+        this.applyOperator(key.toLowerCase(), c._cursor, c._input.length);
+        return;
+
+      case "x":
+        this.applyOperator(
+          "d",
+          c._cursor,
+          this.getMotionTarget("l", count).offset
+        );
+        return;
+
+      case "p":
+      case "P":
+        this.paste(key === "p", count);
+        return;
+
+      case "u":
+        c.handleUndo();
+        break;
+
+      case ".":
+        this.repeatLastChange(count);
+        return;
+
+      case "i":
+        this.startChange();
+        this.enterInsertMode(c._cursor);
+        return;
+
+      case "a":
+        this.startChange();
+        this.enterInsertMode(nextGraphemeOffset(c._input, c._cursor));
+        return;
+
+      case "I":
+        this.startChange();
+        this.enterInsertMode(0);
+        return;
+
+      case "A":
+        this.startChange();
+        this.enterInsertMode(c._input.length);
+        return;
+
+      case "k":
+        c.handleHistoryMove(-1);
+        c.setCursor(0);
+        break;
+
+      case "j":
+        c.handleHistoryMove(1);
+        c.setCursor(0);
+        break;
+    }
+
+    this.resetCommand();
+  }
+
+  /**
+   * Returns the count typed for the current command (default 1)
+   */
+  getCount() {
+    return (
+      (parseInt(this.operatorCount, 10) || 1) * (parseInt(this.count, 10) || 1)
+    );
+  }
+
+  /**
+   * Compute the target of a motion
+   *
+   * Returns `{ offset, inclusive }`, or null if the motion failed.
+   */
+  getMotionTarget(motion, count, chr) {
+    const input = this.controller._input;
+    let offset = this.controller._cursor;
+    let inclusive = false;
+    let i, found;
+
+    switch (motion) {
+      case "h":
+        for (i = 0; i < count; ++i) offset = prevGraphemeOffset(input, offset);
+        break;
+      case "l":
+        for (i = 0; i < count; ++i) offset = nextGraphemeOffset(input, offset);
+        break;
+      case "w":
+        for (i = 0; i < count; ++i) offset = nextWordStart(input, offset);
+        break;
+      case "b":
+        for (i = 0; i < count; ++i) offset = prevWordStart(input, offset);
+        break;
+      case "e":
+        for (i = 0; i < count; ++i) offset = nextWordEnd(input, offset);
+        inclusive = true;
+        break;
+      case "0":
+        offset = 0;
+        break;
+      case "$":
+        offset = input.length;
+        break;
+      case "f":
+      case "t":
+        found = offset;
+        for (i = 0; i < count && found !== -1; ++i) {
+          found = input.indexOf(chr, nextGraphemeOffset(input, found));
+        }
+        if (found === -1) return null;
+        offset = motion === "t" ? prevGraphemeOffset(input, found) : found;
+        inclusive = true;
+        break;
+      case "F":
+      case "T":
+        found = offset;
+        for (i = 0; i < count && found !== -1; ++i) {
+          found = found > 0 ? input.lastIndexOf(chr, found - 1) : -1;
+        }
+        if (found === -1) return null;
+        offset = motion === "T" ? nextGraphemeOffset(input, found) : found;
+        break;
+    }
+
+    return { offset, inclusive };
+  }
+
+  /**
+   * Perform a motion, either moving the cursor or applying the pending
+   * operator on the text it spans
+   */
+  handleMotion(motion, chr) {
+    const c = this.controller;
+    const count = this.getCount();
+    const operator = this.operator;
+
+    // `cw` on a word behaves like `ce`
+    if (
+      operator === "c" &&
+      motion === "w" &&
+      classAt(c._input, c._cursor) !== 0
+    ) {
+      motion = "e";
+    }
+
+    const target = this.getMotionTarget(motion, count, chr);
+    if (target == null) {
+      this.resetCommand();
+      return;
+    }
+
+    if (operator) {
+      const start = Math.min(c._cursor, target.offset);
+      const last = Math.max(c._cursor, target.offset);
+      const end = target.inclusive ? nextGraphemeOffset(c._input, last) : last;
+      this.operator = null;
+      this.applyOperator(operator, start, end);
+    } else {
+      c.setCursor(target.offset);
+      this.resetCommand();
+    }
+  }
+
+  /**
+   * Apply an operator (d, c or y) on the given range of the input
+   */
+  applyOperator(operator, start, end) {
+    const c = this.controller;
+    const input = c._input;
+    if (operator === "d" && start >= end) return this.resetCommand();
+    this.register = input.substring(start, end);
+
+    if (operator === "y") {
+      c.setCursor(start);
+      this.resetCommand();
+      return;
+    }
+
+    this.startChange();
+    c.replaceInput(input.substr(0, start) + input.substr(end), start);
+
+    if (operator === "c") {
+      this.setMode("insert");
+    } else {
+      this.completeChange();
+    }
+  }
+
+  /**
+   * Paste the register after (or before) the cursor
+   */
+  paste(after, count) {
+    const c = this.controller;
+    if (this.register === "") return this.resetCommand();
+
+    const text = c.limitInput(this.register.repeat(count));
+    if (text === "") return this.resetCommand();
+    const offset = after ? nextGraphemeOffset(c._input, c._cursor) : c._cursor;
+    const input = c._input.substr(0, offset) + text + c._input.substr(offset);
+
+    this.startChange();
+    c.replaceInput(input, prevGraphemeOffset(input, offset + text.length));
+    this.completeChange();
+  }
+
+  /**
+   * Start recording the keys of a change, for repeating it with `.`
+   */
+  startChange() {
+    if (!this.replaying) this.recording = this.keys.slice();
+  }
+
+  /**
+   * Complete a change that did not enter insert mode
+   */
+  completeChange() {
+    if (this.recording && !this.replaying) {
+      this.lastChange = this.recording;
+    }
+    this.recording = null;
+    this.resetCommand();
+  }
+
+  /**
+   * Repeat the last change by replaying its keys
+   */
+  repeatLastChange(count) {
+    const keys = this.lastChange;
+    this.resetCommand();
+    if (!keys) return;
+
+    this.replaying = true;
+    for (let i = 0; i < count; ++i) {
+      keys.forEach(key => this.controller.handleData(key));
+      if (this.mode === "insert") this.controller.handleData("\x1b");
+    }
+    this.replaying = false;
+  }
+}
@@ -0,0 +1,178 @@
+const LocalEchoController = require("./LocalEchoController").default;
+const { VirtualTerminal } = require("./VirtualTerminal");
+
+/**
+ * Creates a controller in vi mode, reading on a virtual terminal with the
+ * given read options
+ */
+function setup(options = {}) {
+  const term = new VirtualTerminal({ cols: 40, rows: 6 });
+  const controller = new LocalEchoController(term, { editMode: "vi" });
+  const line = controller.read("$ ", options);
+  return { term, controller, line };
+}
+
+/**
+ * Types the given keys, then waits for a trailing Escape to be taken as
+ * the Escape key
+ */
+function typeKeys(term, keys) {
+  term.typeKeys(keys);
+  return new Promise(resolve => setTimeout(resolve, 60));
+}
+
+/**
+ * Test moving between words made of wide characters and emoji
+ */
+test("word motions on emoji", () => {
+  const { term, controller } = setup();
+  return typeKeys(term, "a 😀😀 b<Esc>").then(() => {
+    term.typeKeys("0e");
+    expect(controller._cursor).toEqual(4);
+    term.typeKeys("x");
+    expect(controller._input).toEqual("a 😀 b");
+
+    term.typeKeys("0wdw");
+    expect(controller._input).toEqual("a b");
+  });
+});
+
+/**
+ * Test the motions
+ */
+test("motions", () => {
+  const { term, controller } = setup();
+  return typeKeys(term, "one two three<Esc>").then(() => {
+    const cursorAfter = keys => {
+      term.typeKeys(keys);
+      return controller._cursor;
+    };
+    expect(controller.vi.mode).toEqual("normal");
+    expect(cursorAfter("0w")).toEqual(4);
+    expect(cursorAfter("e")).toEqual(6);
+    expect(cursorAfter("$")).toEqual(12);
+    expect(cursorAfter("b")).toEqual(8);
+    expect(cursorAfter("2b")).toEqual(0);
+    expect(cursorAfter("fh")).toEqual(9);
+    expect(cursorAfter("Fo")).toEqual(6);
+    expect(cursorAfter("2l")).toEqual(8);
+    expect(term.cursor).toEqual({ row: 0, col: 10 });
+  });
+});
+
+/**
+ * Test the operators, with counts
+ */
+test("operators", () => {
+  const { term, controller, line } = setup();
+  return typeKeys(term, "one two three four<Esc>")
+    .then(() => {
+      term.typeKeys("0d2w");
+      expect(controller._input).toEqual("three four");
+      term.typeKeys("2x");
+      expect(controller._input).toEqual("ree four");
+      return typeKeys(term, "cwthe<Esc>");
+    })
+    .then(() => {
+      expect(controller._input).toEqual("the four");
+      term.typeKeys("wyw0P");
+      expect(controller._input).toEqual("fourthe four");
+      term.typeKeys("dd");
+      expect(controller._input).toEqual("");
+      term.typeKeys("<Enter>");
+      return expect(line).resolves.toEqual("");
+    });
+});
+
+/**
+ * Test repeating the last change, undoing and redoing
+ */
+test("repeat, undo and redo", () => {
+  const { term, controller } = setup();
+  return typeKeys(term, "one two three four<Esc>")
+    .then(() => {
+      term.typeKeys("0dw.");
+      expect(controller._input).toEqual("three four");
+      return typeKeys(term, "A!<Esc>");
+    })
+    .then(() => {
+      term.typeKeys("0.");
+      expect(controller._input).toEqual("three four!!");
+
+      term.typeKeys("u");
+      expect(controller._input).toEqual("three four!");
+      term.typeKeys("uu");
+      expect(controller._input).toEqual("two three four");
+      term.typeKeys("<C-r>");
+      expect(controller._input).toEqual("three four");
+    });
+});
+
+/**
+ * Test navigating the history
+ */
+test("history", () => {
+  const { term, controller } = setup();
+  controller.history.push("ls");
+  controller.history.push("pwd");
+  return typeKeys(term, "x<Esc>").then(() => {
+    term.typeKeys("k");
+    expect(controller._input).toEqual("pwd");
+    term.typeKeys("k");
+    expect(controller._input).toEqual("ls");
+    expect(controller._cursor).toEqual(0);
+    term.typeKeys("j");
+    expect(controller._input).toEqual("pwd");
+  });
+});
+
+/**
+ * Test Escape followed by another key in the same chunk of data
+ */
+test("escape and key together", () => {
+  const { term, controller } = setup();
+  term.typeKeys("abc");
+  term.send("\x1b0");
+  expect(controller.vi.mode).toEqual("normal");
+  expect(controller._cursor).toEqual(0);
+  term.typeKeys("x");
+  expect(controller._input).toEqual("bc");
+  expect(term.screenText()).toEqual("$ bc");
+});
+
+/**
+ * Test Escape and a key sent together, for keys that have emacs Alt bindings
+ */
+test("escape and bound key together", () => {
+  const { term, controller } = setup();
+  term.typeKeys("foo bar baz");
+  term.send("\x1bdd");
+  expect(controller.vi.mode).toEqual("normal");
+  expect(term.screenText()).toEqual("$");
+
+  term.typeKeys("ifoo bar");
+  term.send("\x1bb");
+  expect(controller.vi.mode).toEqual("normal");
+  expect(controller._input).toEqual("foo bar");
+  expect(controller._cursor).toEqual(4);
+
+  // Unless the combination was bound explicitly
+  controller.bindKey("M-u", "upcase-word");
+  term.typeKeys("i");
+  term.send("\x1bu");
+  expect(controller.vi.mode).toEqual("insert");
+  expect(controller._input).toEqual("foo BAR");
+});
+
+/**
+ * Test pasting within the maximum length of the read
+ */
+test("paste within limits", () => {
+  const { term, controller } = setup({ maxLength: 5 });
+  return typeKeys(term, "abcdef<Esc>").then(() => {
+    term.typeKeys("yyp");
+    expect(controller._input).toEqual("abcde");
+    term.typeKeys("xP");
+    expect(controller._input).toEqual("abcde");
+  });
+});
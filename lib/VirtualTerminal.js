@@ -0,0 +1,469 @@
+import { parseKey, NAMED_KEYS } from "./Keymap";
+import { charWidth } from "./Unicode";
+
+/**
+ * Creates an empty cell
+ */
+function blankCell() {
+  return { chr: " ", width: 1, style: "", link: "" };
+}
+
+/**
+ * Creates a row of empty cells
+ */
+function blankRow(cols) {
+  const row = [];
+  for (let i = 0; i < cols; ++i) row.push(blankCell());
+  return row;
+}
+
+/**
+ * Returns the text of a row of cells, without the trailing spaces
+ */
+function rowText(row) {
+  return row
+    .map(cell => cell.chr)
+    .join("")
+    .replace(/ +$/, "");
+}
+
+/**
+ * Splits the keys in the notation of `typeKeys` into the sequences the
+ * terminal sends for them
+ *
+ * The text outside of angle brackets is typed character by character, while
+ * the keys in angle brackets are in the notation of `parseKey` (e.g.
+ * `<Left>`, `<C-a>`, `<M-Backspace>`). `<lt>` types a `<`.
+ */
+export function parseKeys(keys) {
+  const sequences = [];
+  const pattern = /<((?:[CMS]-)*[^<>\s]+)>/g;
+  let last = 0;
+  let match;
+
+  const typeText = text => {
+    for (const chr of text) sequences.push(chr);
+  };
+
+  while ((match = pattern.exec(keys)) !== null) {
+    const name = match[1];
+    const isKey =
+      name === "lt" ||
+      NAMED_KEYS.hasOwnProperty(name.replace(/^(?:[CMS]-)*/, "")) ||
+      /^(?:[CMS]-)+.$/.test(name);
+    if (!isKey) continue;
+
+    typeText(keys.substring(last, match.index));
+    sequences.push(name === "lt" ? "<" : parseKey(name));
+    last = pattern.lastIndex;
+  }
+  typeText(keys.substr(last));
+
+  return sequences;
+}
+
+/**
+ * A virtual terminal is a headless stand-in for an xterm.js terminal, to be
+ * used in tests.
+ *
+ * It interprets the escape sequences written to it into a screen buffer of
+ * `rows` by `cols` cells, keeping track of the cursor, the styles of the
+ * cells (and the hyperlinks they are part of) and the lines that scroll
+ * off the screen. The input is simulated
+ * with `send` (raw data) or `typeKeys` (keys in a readable notation).
+ *
+ * Lines are not reflowed when the terminal is resized.
+ */
+export class VirtualTerminal {
+  constructor(options = {}) {
+    this.cols = options.cols || 80;
+    this.rows = options.rows || 24;
+    this.buffer = [];
+    for (let i = 0; i < this.rows; ++i) this.buffer.push(blankRow(this.cols));
+    this.scrollback = [];
+    this.cursorRow = 0;
+    this.cursorCol = 0;
+    this.wrapPending = false;
+    this.style = "";
+    this.link = "";
+    this.modes = {};
+    this.writes = [];
+    this._pending = "";
+    this._dataListeners = [];
+    this._resizeListeners = [];
+  }
+
+  /**
+   * The position of the cursor on the screen
+   */
+  get cursor() {
+    return { row: this.cursorRow, col: this.cursorCol };
+  }
+
+  /**
+   * Register a listener for the data the user types, as `term.onData` does
+   */
+  onData(fn) {
+    return this.addListener(this._dataListeners, fn);
+  }
+
+  /**
+   * Register a listener for the size changes, as `term.onResize` does
+   */
+  onResize(fn) {
+    return this.addListener(this._resizeListeners, fn);
+  }
+
+  /**
+   * Add the listener to the given list, returning a disposable that
+   * removes it
+   */
+  addListener(listeners, fn) {
+    listeners.push(fn);
+    return {
+      dispose() {
+        const index = listeners.indexOf(fn);
+        if (index !== -1) listeners.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Simulate the user sending the given data
+   */
+  send(data) {
+    this._dataListeners.slice().forEach(fn => fn(data));
+    return this;
+  }
+
+  /**
+   * Simulate the user typing the given keys, one at a time
+   *
+   * For example `typeKeys("ls<Left><Tab><Enter>")`. See `parseKeys` for the
+   * notation of the keys.
+   */
+  typeKeys(keys) {
+    parseKeys(keys).forEach(data => this.send(data));
+    return this;
+  }
+
+  /**
+   * Returns a promise that resolves once the pending asynchronous work
+   * (such as the auto-complete handlers) had the chance to complete
+   */
+  settle() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  /**
+   * Resize the terminal, notifying the listeners
+   */
+  resize(cols, rows) {
+    this.buffer = this.buffer.map(row => {
+      row = row.slice(0, cols);
+      while (row.length < cols) row.push(blankCell());
+      return row;
+    });
+
+    // Keep the cursor on the screen when rows are removed
+    while (this.buffer.length > rows) {
+      if (this.cursorRow > 0) {
+        this.scrollback.push(this.buffer.shift());
+        this.cursorRow--;
+      } else {
+        this.buffer.pop();
+      }
+    }
+    while (this.buffer.length < rows) this.buffer.push(blankRow(cols));
+
+    this.cols = cols;
+    this.rows = rows;
+    this.cursorCol = Math.min(this.cursorCol, cols - 1);
+    this.wrapPending = false;
+    this._resizeListeners.slice().forEach(fn => fn({ cols, rows }));
+  }
+
+  /**
+   * Returns the text of the given row of the screen
+   */
+  lineText(row) {
+    return rowText(this.buffer[row]);
+  }
+
+  /**
+   * Returns the text displayed on the screen, without the trailing spaces
+   * of the lines and the empty lines at the end
+   */
+  screenText() {
+    return this.buffer
+      .map(rowText)
+      .join("\n")
+      .replace(/\n+$/, "");
+  }
+
+  /**
+   * Returns the style (the SGR sequences) the given cell is displayed with
+   */
+  styleAt(row, col) {
+    return this.buffer[row][col].style;
+  }
+
+  /**
+   * Returns the URI of the hyperlink the given cell is part of, if any
+   */
+  linkAt(row, col) {
+    return this.buffer[row][col].link;
+  }
+
+  /**
+   * Interpret the given data, as `term.write` does
+   */
+  write(data, callback) {
+    this.writes.push(data);
+    const input = this._pending + data;
+    this._pending = "";
+
+    for (let i = 0; i < input.length; ) {
+      if (input[i] === "\x1b") {
+        const length = this.handleEscape(input, i);
+        if (length === 0) {
+          // Incomplete sequence, wait for the rest of it
+          this._pending = input.substr(i);
+          break;
+        }
+        i += length;
+        continue;
+      }
+
+      const code = input.codePointAt(i);
+      const chr = String.fromCodePoint(code);
+      i += chr.length;
+      if (code < 32 || code === 0x7f) {
+        this.handleControl(chr);
+      } else {
+        this.print(chr, charWidth(code));
+      }
+    }
+
+    if (callback) callback();
+  }
+
+  /**
+   * Handle a control character
+   */
+  handleControl(chr) {
+    switch (chr) {
+      case "\r":
+        this.cursorCol = 0;
+        this.wrapPending = false;
+        break;
+      case "\n":
+      case "\x0b":
+      case "\x0c":
+        this.lineFeed();
+        break;
+      case "\b":
+        this.cursorCol = Math.max(0, this.cursorCol - 1);
+        this.wrapPending = false;
+        break;
+      case "\t":
+        this.cursorCol = Math.min(
+          this.cols - 1,
+          (Math.floor(this.cursorCol / 8) + 1) * 8
+        );
+        break;
+    }
+  }
+
+  /**
+   * Print a character of the given width at the cursor
+   */
+  print(chr, width) {
+    // Zero-width characters combine with the previous one
+    if (width === 0) {
+      const col = this.wrapPending ? this.cursorCol : this.cursorCol - 1;
+      const row = this.buffer[this.cursorRow];
+      if (col >= 0) {
+        const cell = row[col].width === 0 && col > 0 ? row[col - 1] : row[col];
+        cell.chr += chr;
+      }
+      return;
+    }
+
+    if (this.wrapPending || this.cursorCol + width > this.cols) {
+      this.cursorCol = 0;
+      this.lineFeed();
+    }
+
+    const row = this.buffer[this.cursorRow];
+    const { style, link } = this;
+    row[this.cursorCol] = { chr, width, style, link };
+    if (width === 2 && this.cursorCol + 1 < this.cols) {
+      row[this.cursorCol + 1] = { chr: "", width: 0, style, link };
+    }
+
+    // The cursor stays on the last column until the next character
+    if (this.cursorCol + width >= this.cols) {
+      this.cursorCol = this.cols - 1;
+      this.wrapPending = true;
+    } else {
+      this.cursorCol += width;
+    }
+  }
+
+  /**
+   * Move the cursor to the next line, scrolling the screen if needed
+   */
+  lineFeed() {
+    this.wrapPending = false;
+    if (this.cursorRow < this.rows - 1) {
+      this.cursorRow++;
+      return;
+    }
+    this.scrollback.push(this.buffer.shift());
+    this.buffer.push(blankRow(this.cols));
+  }
+
+  /**
+   * Handle the escape sequence at the given offset
+   *
+   * Returns its length, or 0 if it is incomplete.
+   */
+  handleEscape(input, offset) {
+    const next = input[offset + 1];
+    if (next === undefined) return 0;
+
+    if (next === "[") {
+      const match = /^\x1b\[([\x30-\x3f]*)[\x20-\x2f]*([\x40-\x7e])?/.exec(
+        input.substr(offset)
+      );
+      if (match[2] === undefined) {
+        return offset + match[0].length < input.length ? 1 : 0;
+      }
+      this.handleCSI(match[1], match[2]);
+      return match[0].length;
+    }
+
+    // String sequences (such as OSC), terminated by BEL or ST
+    if ("]PX^_".indexOf(next) !== -1) {
+      for (let i = offset + 2; i < input.length; ++i) {
+        const bel = input[i] === "\x07";
+        if (bel || (input[i] === "\x1b" && input[i + 1] === "\\")) {
+          if (next === "]") this.handleOSC(input.substring(offset + 2, i));
+          return i + (bel ? 1 : 2) - offset;
+        }
+      }
+      return 0;
+    }
+
+    // Other escapes: intermediates, then the final byte
+    let i = offset + 1;
+    while (i < input.length && /[\x20-\x2f]/.test(input[i])) i++;
+    return i < input.length ? i + 1 - offset : 0;
+  }
+
+  /**
+   * Handle an operating system command, of which only the hyperlinks
+   * (`OSC 8 ; params ; uri`) are supported
+   */
+  handleOSC(command) {
+    const match = /^8;[^;]*;(.*)$/.exec(command);
+    if (match) this.link = match[1];
+  }
+
+  /**
+   * Handle a control sequence with the given parameters and final byte
+   */
+  handleCSI(params, final) {
+    if (params[0] === "?") {
+      if (final === "h" || final === "l") {
+        params
+          .substr(1)
+          .split(";")
+          .forEach(mode => (this.modes[mode] = final === "h"));
+      }
+      return;
+    }
+
+    const args = params.split(";").map(arg => parseInt(arg, 10) || 0);
+    const count = Math.max(1, args[0]);
+    const { cols, rows } = this;
+    this.wrapPending = false;
+
+    switch (final) {
+      case "A":
+        this.cursorRow = Math.max(0, this.cursorRow - count);
+        break;
+      case "B":
+        this.cursorRow = Math.min(rows - 1, this.cursorRow + count);
+        break;
+      case "C":
+        this.cursorCol = Math.min(cols - 1, this.cursorCol + count);
+        break;
+      case "D":
+        this.cursorCol = Math.max(0, this.cursorCol - count);
+        break;
+      case "E":
+        this.cursorRow = Math.min(rows - 1, this.cursorRow + count);
+        this.cursorCol = 0;
+        break;
+      case "F":
+        this.cursorRow = Math.max(0, this.cursorRow - count);
+        this.cursorCol = 0;
+        break;
+      case "G":
+        this.cursorCol = Math.min(cols - 1, count - 1);
+        break;
+      case "d":
+        this.cursorRow = Math.min(rows - 1, count - 1);
+        break;
+      case "H":
+      case "f":
+        this.cursorRow = Math.min(rows - 1, Math.max(1, args[0]) - 1);
+        this.cursorCol = Math.min(cols - 1, Math.max(1, args[1] || 0) - 1);
+        break;
+      case "J":
+        this.eraseInDisplay(args[0]);
+        break;
+      case "K":
+        this.eraseInLine(args[0]);
+        break;
+      case "m":
+        this.setStyle(params);
+        break;
+    }
+  }
+
+  /**
+   * Erase (part of) the line of the cursor
+   */
+  eraseInLine(mode) {
+    const row = this.buffer[this.cursorRow];
+    const start = mode === 0 ? this.cursorCol : 0;
+    const end = mode === 1 ? this.cursorCol + 1 : this.cols;
+    for (let i = start; i < end; ++i) row[i] = blankCell();
+  }
+
+  /**
+   * Erase (part of) the screen
+   */
+  eraseInDisplay(mode) {
+    if (mode === 3) {
+      this.scrollback = [];
+      return;
+    }
+    this.eraseInLine(mode);
+    const start = mode === 0 ? this.cursorRow + 1 : 0;
+    const end = mode === 1 ? this.cursorRow : this.rows;
+    for (let i = start; i < end; ++i) this.buffer[i] = blankRow(this.cols);
+  }
+
+  /**
+   * Update the current style with the given SGR parameters
+   */
+  setStyle(params) {
+    const sequence = `\x1b[${params}m`;
+    const reset = params === "" || /^0*$/.test(params);
+    this.style = reset ? "" : this.style + sequence;
+  }
+}
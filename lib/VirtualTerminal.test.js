@@ -0,0 +1,62 @@
+const { VirtualTerminal, parseKeys } = require("./VirtualTerminal");
+
+/**
+ * Test the notation of the keys
+ */
+test("parseKeys()", () => {
+  expect(parseKeys("ab<Left><C-a><M-b><lt><x><S-Tab>")).toEqual([
+    "a",
+    "b",
+    "\x1b[D",
+    "\x01",
+    "\x1bb",
+    "<",
+    "<",
+    "x",
+    ">",
+    "\x1b[Z"
+  ]);
+});
+
+/**
+ * Test interpreting the output into the screen buffer
+ */
+test("write()", () => {
+  const term = new VirtualTerminal({ cols: 5, rows: 3 });
+  term.write("abcde");
+  expect(term.cursor).toEqual({ row: 0, col: 4 });
+  term.write("f\r\n日本\x1b[1mx");
+  expect(term.screenText()).toEqual("abcde\nf\n日本x");
+  expect(term.styleAt(2, 4)).toEqual("\x1b[1m");
+
+  // Cursor movements and erasing
+  term.write("\x1b[2A\x1b[3G\x1b[K\x1b[1B\x1b[0m\x1b[J");
+  expect(term.screenText()).toEqual("ab\nf");
+  expect(term.cursor).toEqual({ row: 1, col: 2 });
+
+  // Scrolling, with sequences split across writes
+  term.write("\r\n\r\nend\x1b[");
+  term.write("1D!");
+  expect(term.screenText()).toEqual("f\n\nen!");
+  expect(term.scrollback.map(row => row[0].chr)).toEqual(["a"]);
+});
+
+/**
+ * Test sending data and resizing to the listeners
+ */
+test("listeners", () => {
+  const term = new VirtualTerminal({ cols: 10, rows: 5 });
+  const data = [];
+  const sizes = [];
+  const subscription = term.onData(chunk => data.push(chunk));
+  term.onResize(size => sizes.push(size));
+
+  term.typeKeys("a<Enter>");
+  subscription.dispose();
+  term.send("b");
+  term.resize(20, 4);
+
+  expect(data).toEqual(["a", "\r"]);
+  expect(sizes).toEqual([{ cols: 20, rows: 4 }]);
+  expect(term.buffer[0]).toHaveLength(20);
+});